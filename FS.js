@@ -1,698 +1,1502 @@
 // Importing the 'readline-sync' library for synchronous input/output operations
 const readlineSync = require('readline-sync');
 
-// An array to store file information
-const fileStorage = [];
+// Importing the 'fs' library to read script files
+const fs = require('fs');
 
-// Variables to manage user IDs and user data
-let activeUserId = 0;
-let nextUserId = 0;
-const users = {};
+// Importing the file system this shell operates on
+const { FileSystem, FileSystemError, parseMode, validateUsername, formatMode, joinPath, BLOCK_SIZE, MIN_DISK_SIZE, MAX_DISK_SIZE } = require('./FileSystem');
 
-// Class representing a user with a unique ID, username, and password
-class User {
-    constructor(username, password) {
-        this.id = nextUserId;
-        this.username = username;
-        this.password = password;
-        nextUserId++;
-    }
-}
+// Image file used to save the disk when no image was mounted
+const DEFAULT_IMAGE_PATH = 'disk.img';
 
-// Class representing the structure of an Inode (Index Node) in a file system
-class Inode {
-    constructor(ownerId, fileType, size) {
-        this.id = Inode.getNextId(); // Assign the next available ID
-        this.ownerId = ownerId;
-        this.fileType = fileType; // 'directory' for directories, 'file' for files
-        this.size = size;
-        this.creationTime = new Date();
-        this.lastAccessTime = new Date();
-        this.lastUpdateTime = new Date();
+// Blocks shown on each row of the disk map, the symbols of the reserved areas, and the symbols given to files in the
+// order they appear (the files after the last symbol share "+")
+const DISK_MAP_ROW_BLOCKS = 64;
+const DISK_MAP_AREAS = {
+    superblock: { symbol: 'S', name: 'superblock' },
+    bitmap: { symbol: 'B', name: 'bitmap' },
+    inodes: { symbol: 'I', name: 'Inode table' },
+    journal: { symbol: 'J', name: 'journal' },
+};
+const DISK_MAP_FILE_SYMBOLS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
 
-        // File permissions for user, group, and general
-        this.permissions = {
-            user: { read: true, write: true, execute: true },
-            group: { read: true, write: false, execute: true },
-            general: { read: true, write: false, execute: false },
-        };
+// File types of the "-type" test of "find", and the units of its "-size" test in bytes (blocks by default)
+const FIND_FILE_TYPES = { f: 'file', d: 'directory', l: 'symlink' };
+const FIND_SIZE_UNITS = { b: BLOCK_SIZE, c: 1, k: 1024, M: 1048576, G: 1073741824 };
 
-        // An array to store block addresses for data storage (10 block addresses)
-        this.blockAddresses = Array.from({ length: 10 }, () => null);
+// Lines of the script being run in batch mode, with the index of the next line to read (null in interactive mode)
+let scriptInput = null;
 
-        // Address for simple indirection
-        this.indirectionAddress = null;
+// In batch mode the clock starts at a fixed time and advances one second per command, so that runs are reproducible
+const SCRIPT_START_TIME = Date.UTC(2024, 0, 1);
+let scriptClock = null;
 
-        // Object to store users associated with this Inode
-        this.users = {};
-    }
+// Function to create the disk and initialize the file system
+function createDisk(options) {
+    let sizeInBytes = options.diskSize;
+    console.log("--- Creating Disk ---");
 
-    // Function to retrieve Inode information
-    getInfo() {
-        return {
-            id: this.id,
-            ownerId: this.ownerId,
-            fileType: this.fileType,
-            size: this.size,
-            creationTime: this.creationTime,
-            lastAccessTime: this.lastAccessTime,
-            lastUpdateTime: this.lastUpdateTime,
-            permissions: this.permissions,
-        };
+    // User input to determine the disk size, unless it was given on the command line
+    while (!(sizeInBytes >= MIN_DISK_SIZE && sizeInBytes <= MAX_DISK_SIZE)) {
+        sizeInBytes = promptInput(`Enter the disk size in bytes (between ${MIN_DISK_SIZE} and ${MAX_DISK_SIZE}, press Enter to use the maximum size - ${MAX_DISK_SIZE} bytes): `);
+
+        // If the user doesn't enter anything, consider the maximum available size
+        sizeInBytes = sizeInBytes.trim() === '' ? MAX_DISK_SIZE : parseInt(sizeInBytes, 10);
+
+        // Validate the entered disk size
+        if (!(sizeInBytes >= MIN_DISK_SIZE && sizeInBytes <= MAX_DISK_SIZE)) {
+            console.log(`Error: Disk size must be between ${MIN_DISK_SIZE} and ${MAX_DISK_SIZE} bytes. Please try again.`);
+        }
     }
 
-    // Function to associate a user with this Inode
-    addUser(user) {
-        this.user = user;
+    // Prompt the user for the admin password, unless it was given on the command line (blank for the default password)
+    const adminPassword = options.adminPassword !== null ? options.adminPassword : promptInput('Enter the password for the admin user (press Enter for default password "1234"): ', true);
+
+    try {
+        const fileSystem = FileSystem.create(sizeInBytes, adminPassword, { clock: currentTime, journalMode: options.journalMode });
+        console.log(`Disk of ${fileSystem.diskInfo().totalBytes} bytes created successfully.`);
+        return fileSystem;
+    } catch (error) {
+        reportError(error);
+        return null;
     }
+}
+
+// Function to mount a disk saved in an image file, returning null if the image cannot be used
+function mountDisk(imagePath) {
+    console.log(`--- Mounting Disk Image "${imagePath}" ---`);
 
-    // Static function to generate the next available Inode ID
-    static getNextId() {
-        return Inode.nextId++;
+    try {
+        const fileSystem = FileSystem.mount(imagePath, { clock: currentTime });
+        console.log(`Disk image "${imagePath}" mounted successfully.`);
+
+        // Report what was found in the journal after a power loss
+        const { recovery } = fileSystem.journal;
+        if (recovery && recovery.replayed) {
+            console.log(`Journal recovery: committed transaction ${recovery.sequence} replayed (${recovery.blocks} blocks).`);
+        } else if (recovery) {
+            console.log(`Journal recovery: incomplete transaction ${recovery.sequence} discarded.`);
+        }
+        return fileSystem;
+    } catch (error) {
+        reportError(error);
+        return null;
     }
+}
 
-    // Function to check if a user has write permission for this Inode
-    hasWritePermission(userId) {
-        if (this.permissions.general.write) {
-            // If general write permission is true, everyone can write
-            return true;
+// Function to read the startup options from the command line; prints the reason and returns null if they are invalid
+function parseStartupOptions(args) {
+    const options = { mountPath: null, scriptPath: null, diskSize: null, adminPassword: null, journalMode: 'none', continueOnError: false, force: false };
+    const valueOptions = { '--mount': 'mountPath', '--script': 'scriptPath', '--size': 'diskSize', '--password': 'adminPassword', '--journal': 'journalMode' };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--continue-on-error') {
+            options.continueOnError = true;
+        } else if (args[i] === '--force') {
+            options.force = true;
+        } else if (Object.hasOwn(valueOptions, args[i]) && i + 1 < args.length) {
+            options[valueOptions[args[i]]] = args[++i];
         } else {
-            // Otherwise, only the owner can write
-            return userId === this.ownerId;
+            console.log(`Error: Invalid option "${args[i]}". Usage: node FS.js [--mount <image>] [--size <bytes>] [--password <password>] [--journal none|ordered|data] [--script <file> | --script -] [--continue-on-error] [--force]`);
+            return null;
         }
     }
 
-    // Function to change the owner of the Inode
-    changeOwner(userId) {
-        this.ownerId = userId;
+    if (options.diskSize !== null) {
+        const diskSize = /^\d+$/.test(options.diskSize) ? parseInt(options.diskSize, 10) : NaN;
+
+        if (!(diskSize >= MIN_DISK_SIZE && diskSize <= MAX_DISK_SIZE)) {
+            console.log(`Error: Disk size must be between ${MIN_DISK_SIZE} and ${MAX_DISK_SIZE} bytes.`);
+            return null;
+        }
+        options.diskSize = diskSize;
     }
-}
 
-// Setting the initial value for the next available Inode ID
-Inode.nextId = 0;
+    if (!['none', 'ordered', 'data'].includes(options.journalMode)) {
+        console.log(`Error: Invalid journal mode "${options.journalMode}". Use "none", "ordered" or "data".`);
+        return null;
+    }
+
+    return options;
+}
 
-// Class representing a File with a name and associated Inode
-class File {
-    constructor(name, inode) {
-        this.name = name;
-        this.inode = inode;
+// Function to read the lines of a script file, or of the standard input for "-"; prints the reason and returns null on failure
+function readScript(scriptPath) {
+    try {
+        return fs.readFileSync(scriptPath === '-' ? 0 : scriptPath, 'utf8').split(/\r?\n/);
+    } catch (error) {
+        console.log(`Error: Could not read the script "${scriptPath}": ${error.message}`);
+        return null;
     }
 }
 
-// Class defining the structure of a directory with a name and associated Inode
-class Directory {
-    constructor(name, inode) {
-        this.name = name;
-        this.inode = inode;
-        this.files = {};
-        this.subdirectories = {};
+// Function to ask the user for a line of input; in batch mode the answer is the next line of the script
+function promptInput(question, hidden = false) {
+    if (scriptInput === null) {
+        return readlineSync.question(question, { hideEchoBack: hidden });
     }
 
-    // Function to add a file to the directory
-    addFile(file) {
-        this.files[file.name] = file;
+    const answer = scriptInput.next < scriptInput.lines.length ? scriptInput.lines[scriptInput.next++] : '';
+
+    // Echo the answer so that the output reads like an interactive session, without revealing passwords
+    console.log(`${question}${hidden ? '*'.repeat(answer.length) : answer}`);
+    return answer;
+}
+
+// Function to ask the user a yes/no question; in batch mode the next line of the script answers it ("y" or "yes")
+function promptConfirm(question) {
+    if (scriptInput === null) {
+        return readlineSync.keyInYNStrict(question);
     }
 
-    // Function to add a subdirectory to the directory
-    addSubdirectory(subdirectory) {
-        this.subdirectories[subdirectory.name] = subdirectory;
+    return /^y(es)?$/i.test(promptInput(`${question} [y/n]: `).trim());
+}
+
+// Function to ask for a new password twice; prints the reason and returns null if the two entries differ
+function promptNewPassword() {
+    const password = promptInput('Enter the new password: ', true);
+
+    if (promptInput('Retype the new password: ', true) !== password) {
+        console.log('Error: Passwords do not match.');
+        return null;
     }
+    return password;
 }
 
-// Class representing the content of a file with a name and optional content
-class FileContent {
-    constructor(name, content = '') {
-        this.name = name;
-        this.content = content;
+// Function to ask for a username and password until a user logs in; in batch mode a failed login stops the script
+function promptLogin(fileSystem) {
+    console.log('\n--- Login ---');
+
+    while (true) {
+        const username = promptInput('Username: ');
+
+        try {
+            const { id } = fileSystem.login(username, promptInput('Password: ', true));
+            console.log(`Logged in as "${username}" with ID ${id}.`);
+            return;
+        } catch (error) {
+            reportError(error);
+        }
+
+        if (scriptInput !== null) {
+            console.log('Error: Script stopped because the login failed.');
+            process.exit(1);
+        }
     }
 }
 
-// Function to create the disk and initialize the file system
-function createDisk() {
-    let sizeInBytes = 0;
-    console.log("--- Creating Disk ---");
+// Function to read the time of the clock used for timestamps
+function currentTime() {
+    return scriptClock !== null ? new Date(scriptClock) : new Date();
+}
 
-    // User input to determine the disk size
-    do {
-        sizeInBytes = readlineSync.question('Enter the disk size in bytes (between 512 and 33554432, press Enter to use the maximum size - 33554432 bytes): ');
+// Usage, description, accepted flags and argument counts of each shell command, used by "help" and to validate command lines
+const COMMAND_HELP = {
+    help: { usage: 'help [command]', description: 'Show the available commands, or the usage of one command', flags: '', minArgs: 0, maxArgs: 1 },
+    history: { usage: 'history', description: 'List the commands entered in this session ("!!" repeats the last one, "!n" the n-th one)', flags: '', minArgs: 0, maxArgs: 0 },
+    ls: { usage: 'ls [-alitSR] [path]', description: 'List a directory (-a: include hidden entries, -l: long format, -i: Inode IDs, -t: newest first, -S: largest first, -R: subdirectories too)', flags: 'alitSR', minArgs: 0, maxArgs: 1 },
+    tree: { usage: 'tree [path]', description: 'Show the tree of files and subdirectories of a directory with their Inode IDs', flags: '', minArgs: 0, maxArgs: 1 },
+    find: { usage: 'find [path...] [test value...]', description: 'List the entries of directory trees (the current directory by default) passing every test: -name glob (*, ? and [...]), -type f|d|l, -user user, -perm [-|/]mode (exact mode, -: all of its bits, /: any of them), -size [+|-]n[c|k|M|G] (in 512-byte blocks by default, rounded up; +: more, -: less), -newer path (updated after it)', flags: '', minArgs: 0, maxArgs: Infinity },
+    stat: { usage: 'stat path...', description: 'Show the Inode details of files and directories (symbolic links are not followed)', flags: '', minArgs: 1, maxArgs: Infinity },
+    cd: { usage: 'cd [path]', description: 'Change the current directory (to the root directory without a path)', flags: '', minArgs: 0, maxArgs: 1 },
+    pwd: { usage: 'pwd', description: 'Print the current directory', flags: '', minArgs: 0, maxArgs: 0 },
+    mkdir: { usage: 'mkdir [-p] path...', description: 'Create directories (-p: create missing parents and accept existing directories)', flags: 'p', minArgs: 1, maxArgs: Infinity },
+    rmdir: { usage: 'rmdir [-r] path...', description: 'Remove empty directories (-r: remove them with their contents)', flags: 'r', minArgs: 1, maxArgs: Infinity },
+    touch: { usage: 'touch path [size]', description: 'Create a zero-filled file of the given size in bytes, rounded up to whole blocks', flags: '', minArgs: 1, maxArgs: 2 },
+    rm: { usage: 'rm path...', description: 'Delete files and symbolic links', flags: '', minArgs: 1, maxArgs: Infinity },
+    mv: { usage: 'mv source destination', description: 'Move or rename a file or directory (into the destination when it is a directory)', flags: '', minArgs: 2, maxArgs: 2 },
+    cp: { usage: 'cp [-r] source destination', description: 'Copy a file (-r: a directory with its contents) into new files owned by the current user', flags: 'r', minArgs: 2, maxArgs: 2 },
+    ln: { usage: 'ln [-s] target link', description: 'Create a hard link to a file (-s: a symbolic link to any path)', flags: 's', minArgs: 2, maxArgs: 2 },
+    echo: { usage: 'echo [text...] [> file | >> file]', description: 'Print text, or write it to a file with "> file" or append it with ">> file" (the file is created if needed)', flags: '', minArgs: 0, maxArgs: Infinity, redirect: true },
+    cat: { usage: 'cat path...', description: 'Print the content of files', flags: '', minArgs: 1, maxArgs: Infinity },
+    grep: { usage: 'grep [-ri] pattern path...', description: 'Print the lines of files matching a regular expression (-r: search the files of directories recursively, -i: ignore case)', flags: 'ri', minArgs: 2, maxArgs: Infinity },
+    open: { usage: 'open path [mode]', description: 'Open a file and print its descriptor (mode: r, r+, w, w+, a or a+; r by default)', flags: '', minArgs: 1, maxArgs: 2 },
+    read: { usage: 'read fd [length]', description: 'Read bytes from the offset of a descriptor (the rest of the file by default)', flags: '', minArgs: 1, maxArgs: 2 },
+    write: { usage: 'write fd text...', description: 'Write text at the offset of a descriptor (at the end of the file in append mode)', flags: '', minArgs: 2, maxArgs: Infinity },
+    lseek: { usage: 'lseek fd offset [set|cur|end]', description: 'Move the offset of a descriptor from the start, the current offset or the end of the file', flags: '', minArgs: 2, maxArgs: 3 },
+    close: { usage: 'close fd...', description: 'Close descriptors', flags: '', minArgs: 1, maxArgs: Infinity },
+    lsof: { usage: 'lsof', description: 'List the open descriptors with their file, mode and offset', flags: '', minArgs: 0, maxArgs: 0 },
+    chmod: { usage: 'chmod [-R] mode path...', description: 'Change the mode (octal such as 755, or symbolic such as u+x,g-w,o=r) of files and directories (-R: recursively)', flags: 'R', minArgs: 2, maxArgs: Infinity },
+    chown: { usage: 'chown user path...', description: 'Change the owner of files and directories to a user given by name or ID (admin only)', flags: '', minArgs: 2, maxArgs: Infinity },
+    chgrp: { usage: 'chgrp group path...', description: 'Change the group of files and directories', flags: '', minArgs: 2, maxArgs: Infinity },
+    adduser: { usage: 'adduser username', description: 'Add a user with a home directory in /home (admin only, the password is prompted for)', flags: '', minArgs: 1, maxArgs: 1 },
+    rmuser: { usage: 'rmuser [-r] user [newOwner]', description: 'Remove a user who owns no files (admin only, -r: delete their files and directories, newOwner: give them to that user)', flags: 'r', minArgs: 1, maxArgs: 2 },
+    lsuser: { usage: 'lsuser', description: 'List users and their groups', flags: '', minArgs: 0, maxArgs: 0 },
+    su: { usage: 'su userId', description: 'Switch to another user (the password of that user is prompted for, except for the admin user; only members of the admin group can switch to the admin user)', flags: '', minArgs: 1, maxArgs: 1 },
+    whoami: { usage: 'whoami', description: 'Show the active user and their groups', flags: '', minArgs: 0, maxArgs: 0 },
+    logout: { usage: 'logout', description: 'End the session and return to the login prompt', flags: '', minArgs: 0, maxArgs: 0 },
+    passwd: { usage: 'passwd [userId]', description: 'Change your password, or reset the password of a user and unlock their account (admin only)', flags: '', minArgs: 0, maxArgs: 1 },
+    sudo: { usage: 'sudo command [args...]', description: 'Run a command as the admin user (members of the admin group, after confirming their password)', flags: '', minArgs: 1, maxArgs: Infinity, commandArgs: 0 },
+    groupadd: { usage: 'groupadd name', description: 'Add a group (admin only)', flags: '', minArgs: 1, maxArgs: 1 },
+    usermod: { usage: 'usermod -aG group userId', description: 'Add a user to a supplementary group (admin only)', flags: 'aG', minArgs: 2, maxArgs: 2 },
+    mkfs: { usage: 'mkfs [-y] [none|ordered|data]', description: 'Format the disk, removing every file and directory, with the given journal mode or the current one (admin only, -y: do not ask for confirmation)', flags: 'y', minArgs: 0, maxArgs: 1 },
+    journal: { usage: 'journal [ordered|data]', description: 'Show the journal of the disk, or switch between metadata (ordered) and data journaling (admin only)', flags: '', minArgs: 0, maxArgs: 1 },
+    crash: { usage: 'crash point command [args...]', description: 'Run a command and simulate a power loss while it is written to the disk, at a point among data, journal, commit and checkpoint (admin only)', flags: '', minArgs: 2, maxArgs: Infinity, commandArgs: 1 },
+    df: { usage: 'df', description: 'Display disk information', flags: '', minArgs: 0, maxArgs: 0 },
+    diskmap: { usage: 'diskmap [first [count]]', description: 'Map the blocks of the disk to the Inodes using them, from the data area to its last used block by default, with the fragmentation of each file (admin only)', flags: '', minArgs: 0, maxArgs: 2 },
+    alloc: { usage: 'alloc [first-fit|next-fit|best-fit|contiguous]', description: 'Show or change (admin only) how free blocks are chosen for files', flags: '', minArgs: 0, maxArgs: 1 },
+    defrag: { usage: 'defrag', description: 'Move the blocks of every file into one contiguous extent, leaving the free space in one run (admin only)', flags: '', minArgs: 0, maxArgs: 0 },
+    quota: { usage: 'quota [user]', description: 'Show your block and Inode usage and quota (admin only for other users)', flags: '', minArgs: 0, maxArgs: 1 },
+    repquota: { usage: 'repquota', description: 'Report the usage and quota of every user (admin only)', flags: '', minArgs: 0, maxArgs: 0 },
+    setquota: { usage: 'setquota user softBlocks hardBlocks softInodes hardInodes | setquota -t seconds', description: 'Set the quota of a user, 0 meaning no limit, or the grace period of soft limits (admin only)', flags: 't', minArgs: 1, maxArgs: 5 },
+    fsck: { usage: 'fsck [-y | -n]', description: 'Check the file system (admin only, -y: repair without asking, -n: report only)', flags: 'yn', minArgs: 0, maxArgs: 0 },
+    cache: { usage: 'cache [policy|mode|size value]', description: 'Show the block cache, or set its replacement policy (lru, fifo or clock), write mode (write-back or write-through) or size in blocks (admin only)', flags: '', minArgs: 0, maxArgs: 2 },
+    iostat: { usage: 'iostat', description: 'Show the reads, writes, hits and misses of the block cache and the block I/O of the disk for each replacement policy used', flags: '', minArgs: 0, maxArgs: 0 },
+    sync: { usage: 'sync', description: 'Write the dirty blocks of the block cache to the disk and save it to its image file', flags: '', minArgs: 0, maxArgs: 0 },
+    shutdown: { usage: 'shutdown', description: 'Save the disk to its image file and exit', flags: '', minArgs: 0, maxArgs: 0 },
+};
 
-        // If the user doesn't enter anything, consider the maximum available size
-        sizeInBytes = sizeInBytes.trim() === '' ? 33554432 : parseInt(sizeInBytes, 10);
+// Main loop
+function mainLoop() {
+    const options = parseStartupOptions(process.argv.slice(2));
+    if (!options) {
+        process.exit(1);
+    }
 
-        // Validate the entered disk size
-        if (sizeInBytes < 512 || sizeInBytes > 33554432) {
-            console.log('Error: Disk size must be between 512 and 33554432 bytes. Please try again.');
+    // In batch mode, the commands and the answers to their prompts are read from the script
+    if (options.scriptPath !== null) {
+        const lines = readScript(options.scriptPath);
+        if (!lines) {
+            process.exit(1);
         }
 
-    } while (sizeInBytes < 512 || sizeInBytes > 33554432);
+        scriptInput = { lines, next: 0 };
+        scriptClock = SCRIPT_START_TIME;
 
-    // Calculate the number of 512-byte blocks
-    const numberOfBlocks = Math.floor(sizeInBytes / 512);
+        // A new disk is created with the maximum size and the default admin password unless they were given
+        options.diskSize = options.diskSize !== null ? options.diskSize : MAX_DISK_SIZE;
+        options.adminPassword = options.adminPassword !== null ? options.adminPassword : '';
+    }
 
-    // Simulate the disk as an array of empty blocks
-    const disk = Array.from({ length: numberOfBlocks }, () => Buffer.alloc(512));
+    // A new disk is saved to the default image file, so an image already there is only replaced with --force or, in
+    // interactive mode, if the user agrees; a script cannot answer, as its lines are commands
+    if (options.mountPath === null && !options.force && fs.existsSync(DEFAULT_IMAGE_PATH)) {
+        if (scriptInput !== null) {
+            console.log(`Error: The disk image "${DEFAULT_IMAGE_PATH}" already exists and a new disk would overwrite it. Mount it with "--mount ${DEFAULT_IMAGE_PATH}", or replace it with "--force".`);
+            process.exit(1);
+        } else if (!promptConfirm(`The disk image "${DEFAULT_IMAGE_PATH}" already exists and a new disk will overwrite it. Continue?`)) {
+            console.log(`To use the saved disk, mount it: node FS.js --mount ${DEFAULT_IMAGE_PATH}`);
+            process.exit(1);
+        }
+    }
 
-    // Allocate initial space for the root directory
-    const rootInode = new Inode(0, 'directory', 512);
-    const rootDirectory = new Directory('/', rootInode);
-    allocateBlockOnDisk(disk, rootDirectory);
+    // Mount an existing image when one is given, otherwise create a new disk
+    const imagePath = options.mountPath !== null ? options.mountPath : DEFAULT_IMAGE_PATH;
+    const fileSystem = options.mountPath !== null ? mountDisk(options.mountPath) : createDisk(options);
 
-    // Prompt the user for the admin password
-    const adminPassword = readlineSync.question('Enter the password for the admin user (press Enter for default password "1234"): ', { hideEchoBack: true });
+    if (!fileSystem) {
+        process.exit(1);
+    }
 
-    // Set default password if the input is blank
-    const adminDefaultPassword = '1234';
-    const adminUser = new User('admin', adminPassword.trim() === '' ? adminDefaultPassword : adminPassword);
+    promptLogin(fileSystem);
 
-    // Set the initial user ID for the admin user
-    adminUser.id = 0;
+    // State shared by the commands of this shell session
+    const session = { fileSystem, imagePath, commandHistory: [], failedCommands: 0 };
 
-    // Add admin user to the user database
-    users[adminUser.id] = adminUser;
+    if (scriptInput !== null) {
+        runScript(session, options.continueOnError);
+    }
 
-    // Add admin user to the root Inode
-    rootInode.addUser(adminUser);
+    console.log('\nType "help" to list the available commands, or "help <command>" to show its usage.');
 
-    // Return the created disk and root directory
-    return { disk, rootDirectory };
+    while (true) {
+        runCommandLine(session, promptInput(`\n${formatPrompt(fileSystem)}`));
+    }
 }
 
-// Function to add a new user to the system
-function addUser() {
-    // Check if the active user is the admin (userID 0)
-    if (activeUserId !== 0) {
-        console.log('Error: Only the admin user can add new users.');
-        return;
+// Start the main loop when run as a program, not when required as a module
+if (require.main === module) {
+    mainLoop();
+}
+
+// Function to build the shell prompt from the active user and the current directory
+function formatPrompt(fileSystem) {
+    const { id, username } = fileSystem.whoami();
+    return `${username}@${id}:${fileSystem.pwd()}$ `;
+}
+
+// Function to run the commands of the script one line at a time, skipping blank lines and "#" comments, then exit;
+// the exit status is 1 if any command failed
+function runScript(session, continueOnError) {
+    while (scriptInput.next < scriptInput.lines.length) {
+        const lineNumber = ++scriptInput.next;
+        const line = scriptInput.lines[lineNumber - 1];
+
+        if (line.trim() === '' || line.trim().startsWith('#')) {
+            continue;
+        }
+
+        console.log(`\n${formatPrompt(session.fileSystem)}${line}`);
+        scriptClock += 1000;
+
+        if (!runCommandLine(session, line)) {
+            session.failedCommands++;
+
+            if (!continueOnError) {
+                console.log(`Error: Script stopped at line ${lineNumber} because the command failed.`);
+                process.exit(1);
+            }
+        }
     }
 
-    // Prompt for new user information
-    const newUsername = readlineSync.question('Enter the new user name: ');
-    const newPassword = readlineSync.question('Enter the password for the new user: ', { hideEchoBack: true });
+    process.exit(session.failedCommands > 0 ? 1 : 0);
+}
+
+// Function to expand, record and execute a command line, returning false if the command failed
+function runCommandLine(session, line) {
+    const expandedLine = expandHistory(session.commandHistory, line.trim());
 
-    // Create a new user object and add it to the user database
-    const newUser = new User(newUsername, newPassword);
-    users[newUser.id] = newUser;
+    if (expandedLine === null) {
+        return false;
+    } else if (expandedLine === '') {
+        return true;
+    }
+
+    // Show the command a history reference expanded to, as shells do
+    if (expandedLine !== line.trim()) {
+        console.log(expandedLine);
+    }
 
-    console.log(`User "${newUsername}" created successfully with ID ${newUser.id}.`);
+    session.commandHistory.push(expandedLine);
+    return executeCommand(session, expandedLine);
 }
 
-// Function to allocate a block on the disk for a given object
-function allocateBlockOnDisk(disk, object) {
-    for (let i = 0; i < disk.length; i++) {
-        if (disk[i].every((byte) => byte === 0)) {
-            // If the block is empty, allocate the object in the block
-            disk[i] = Buffer.from(JSON.stringify(object));
-            break;
-        }
+// Function to replace a history reference ("!!" or "!n") with the command it refers to; prints the reason and returns null on failure
+function expandHistory(commandHistory, line) {
+    if (!line.startsWith('!')) {
+        return line;
     }
+
+    const index = line === '!!' ? commandHistory.length : /^!\d+$/.test(line) ? parseInt(line.slice(1), 10) : NaN;
+
+    if (!(index >= 1 && index <= commandHistory.length)) {
+        console.log(`Error: ${line}: event not found.`);
+        return null;
+    }
+
+    return commandHistory[index - 1];
 }
 
-// Function to remove a user from the system
-function removeUser() {
-    console.log('\n--- Remove User ---');
-    listUsers();
+// Function to split a command line into words, handling single quotes, double quotes, backslash escapes and the ">" redirection;
+// prints the reason and returns null on failure
+function tokenizeCommandLine(line) {
+    const tokens = [];
+    let token = null;
+    let quote = null;
+
+    // Start a new word on the first character that belongs to it
+    const currentToken = () => {
+        if (!token) {
+            token = { text: '', quoted: false, operator: false };
+            tokens.push(token);
+        }
+        return token;
+    };
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quote === "'") {
+            // Everything is literal inside single quotes
+            if (char === "'") {
+                quote = null;
+            } else {
+                token.text += char;
+            }
+        } else if (quote === '"') {
+            // Inside double quotes, a backslash only escapes a double quote or another backslash
+            if (char === '"') {
+                quote = null;
+            } else if (char === '\\' && (line[i + 1] === '"' || line[i + 1] === '\\')) {
+                token.text += line[++i];
+            } else {
+                token.text += char;
+            }
+        } else if (char === "'" || char === '"') {
+            quote = char;
+            currentToken().quoted = true;
+        } else if (char === '\\') {
+            if (i + 1 === line.length) {
+                console.log('Error: Unexpected end of line after "\\".');
+                return null;
+            }
+            const escaped = currentToken();
+            escaped.text += line[++i];
+            escaped.quoted = true;
+        } else if (char === '>') {
+            // ">>" appends to the file instead of replacing its content
+            const append = line[i + 1] === '>';
+            tokens.push({ text: append ? '>>' : '>', quoted: false, operator: true });
+            token = null;
+            i += append ? 1 : 0;
+        } else if (/\s/.test(char)) {
+            token = null;
+        } else {
+            currentToken().text += char;
+        }
+    }
+
+    if (quote) {
+        console.log(`Error: Unterminated ${quote === '"' ? 'double' : 'single'} quote.`);
+        return null;
+    }
 
-    // Prompt for the user ID to be removed
-    const userIdToRemove = parseInt(readlineSync.question('Enter the ID of the user to be removed: '), 10);
+    return tokens;
+}
 
-    // Check conditions for user removal
-    if (userIdToRemove === 0) {
-        console.log('Error: Cannot remove the admin user.');
-    } else if (userIdToRemove === activeUserId) {
-        console.log('Error: You cannot remove the currently active user.');
-    } else if (users[userIdToRemove]) {
-        // Remove the user from the user database
-        delete users[userIdToRemove];
-        console.log(`User with ID ${userIdToRemove} removed successfully.`);
-    } else {
-        console.log(`Error: User with ID ${userIdToRemove} not found.`);
+// Function to parse a command line into its command, flags, arguments and redirection target, checking them against
+// the usage of the command; prints the reason and returns null on failure
+function parseCommandLine(line) {
+    const tokens = tokenizeCommandLine(line);
+    if (!tokens || tokens.length === 0) {
+        return null;
     }
+
+    return parseTokens(tokens);
 }
 
-// Function to list users with both name and ID
-function listUsers() {
-    console.log('\n--- User List ---');
-    for (const userId in users) {
-        const user = users[userId];
-        console.log(`ID: ${user.id}, Name: ${user.username}`);
+// Function to parse the tokens of a command line (see parseCommandLine)
+// Commands that run another command ("sudo" and "crash") take their own arguments from the first tokens, and keep
+// the remaining tokens as they are, to be parsed as the command they run
+function parseTokens(tokens) {
+    const [commandToken, ...rest] = tokens;
+    const command = commandToken.text;
+    const usage = Object.hasOwn(COMMAND_HELP, command) ? COMMAND_HELP[command] : null;
+
+    if (commandToken.operator || !usage) {
+        console.log(`Error: ${command}: command not found. Type "help" to list the available commands.`);
+        return null;
+    }
+
+    const parsed = { command, flags: '', args: [], redirect: null, append: false };
+
+    if (usage.commandArgs !== undefined) {
+        if (rest.length <= usage.commandArgs) {
+            console.log(`Error: ${command}: wrong number of arguments. Usage: ${usage.usage}`);
+            return null;
+        }
+        const args = rest.slice(0, usage.commandArgs).map((token) => token.text);
+        return { ...parsed, args, commandTokens: rest.slice(usage.commandArgs) };
+    }
+
+    let endOfFlags = false;
+
+    for (let i = 0; i < rest.length; i++) {
+        const token = rest[i];
+
+        if (token.operator) {
+            // The word after ">" or ">>" is the file the output is written or appended to
+            const target = rest[i + 1];
+            if (!usage.redirect) {
+                console.log(`Error: ${command}: output redirection is not supported.`);
+                return null;
+            } else if (!target || target.operator) {
+                console.log(`Error: ${command}: missing file name after "${token.text}".`);
+                return null;
+            } else if (parsed.redirect !== null) {
+                console.log(`Error: ${command}: output can only be redirected once.`);
+                return null;
+            }
+            parsed.redirect = target.text;
+            parsed.append = token.text === '>>';
+            i++;
+        } else if (!endOfFlags && !token.quoted && token.text === '--') {
+            // "--" ends the flags, so that later words starting with "-" are arguments
+            endOfFlags = true;
+        } else if (!endOfFlags && !token.quoted && /^-[A-Za-z]+$/.test(token.text) && usage.flags !== '') {
+            for (const flag of token.text.slice(1)) {
+                if (!usage.flags.includes(flag)) {
+                    console.log(`Error: ${command}: invalid option -- '${flag}'. Usage: ${usage.usage}`);
+                    return null;
+                }
+                if (!parsed.flags.includes(flag)) {
+                    parsed.flags += flag;
+                }
+            }
+        } else {
+            parsed.args.push(token.text);
+        }
     }
+
+    if (parsed.args.length < usage.minArgs || parsed.args.length > usage.maxArgs) {
+        console.log(`Error: ${command}: wrong number of arguments. Usage: ${usage.usage}`);
+        return null;
+    }
+
+    return parsed;
 }
 
-// Function to display disk information
-function displayDiskInfo(disk) {
-    // Calculate disk statistics
-    const availableBytes = disk.filter((block) => block.every((byte) => byte === 0)).length * 512;
-    const availableBlocks = disk.filter((block) => block.every((byte) => byte === 0)).length;
-    const diskSize = disk.length * 512;
-    const usedBlocks = disk.filter((block) => !block.every((byte) => byte === 0)).length;
-
-    // Display disk information
-    console.log("\n");
-    console.log(`Total Bytes: ${diskSize} bytes`);
-    console.log(`Available Bytes: ${availableBytes}`);
-    console.log(`Total Blocks: ${availableBlocks}`);
-    console.log(`Used Blocks: ${usedBlocks}`);
+// Function to show every command with its description, or the usage of one command
+function showHelp(command) {
+    if (command === undefined) {
+        console.log('\n--- Available Commands ---');
+        for (const name in COMMAND_HELP) {
+            console.log(` ${COMMAND_HELP[name].usage.padEnd(26)} ${COMMAND_HELP[name].description}`);
+        }
+        console.log('\nQuote arguments with spaces ("my file") or escape characters with "\\".');
+        return true;
+    }
+
+    if (!Object.hasOwn(COMMAND_HELP, command)) {
+        console.log(`Error: help: no help for "${command}".`);
+        return false;
+    }
+
+    console.log(`Usage: ${COMMAND_HELP[command].usage}`);
+    console.log(COMMAND_HELP[command].description);
+    return true;
 }
 
-// Function to reset the root directory
-function resetRoot(rootDirectory) {
-    // Clear subdirectories and files in the root directory
-    rootDirectory.subdirectories = {};
-    rootDirectory.files = {};
+// Function to parse a user ID argument; prints the reason and returns null if it is not a number
+function parseUserId(value) {
+    if (!/^\d+$/.test(value)) {
+        console.log(`Error: Invalid user ID "${value}".`);
+        return null;
+    }
+    return parseInt(value, 10);
 }
 
-// Function to switch the active user
-function switchUser() {
-    console.log('\n--- Switch User ---');
-    listUsers();
+// Function to find the ID of a user given by name or ID; prints the reason and returns null if there is no such user
+function parseUser(fileSystem, value) {
+    const user = fileSystem.findUser(/^\d+$/.test(value) ? parseInt(value, 10) : value);
 
-    // Prompt for the ID of the user to switch to
-    const newUserId = parseInt(readlineSync.question('Enter the ID of the user to switch to: '), 10);
+    if (!user) {
+        console.log(`Error: User "${value}" not found.`);
+        return null;
+    }
+    return user.id;
+}
 
-    // Check if the user exists
-    if (users[newUserId]) {
-        // Prompt for the password
-        const enteredPassword = readlineSync.question('Enter the password: ', { hideEchoBack: true });
+// Function to parse a file descriptor argument; prints the reason and returns null if it is not a number
+function parseDescriptor(value) {
+    if (!/^\d+$/.test(value)) {
+        console.log(`Error: Invalid file descriptor "${value}".`);
+        return null;
+    }
+    return parseInt(value, 10);
+}
+
+// Function to parse the arguments of "find": the paths to search (the current directory by default), then the tests
+// and their values; prints the reason and returns null on failure, or { paths, criteria } (see FileSystem.find)
+function parseFindTests(fileSystem, args) {
+    const firstTest = args.findIndex((arg) => arg.startsWith('-'));
+    const paths = firstTest === -1 ? args : args.slice(0, firstTest);
+    const tests = firstTest === -1 ? [] : args.slice(firstTest);
+    const criteria = {};
+
+    for (let i = 0; i < tests.length; i += 2) {
+        const [test, value] = [tests[i], tests[i + 1]];
+
+        if (!['-name', '-type', '-user', '-perm', '-size', '-newer'].includes(test)) {
+            console.log(`Error: find: unknown test "${test}".`);
+            return null;
+        } else if (value === undefined) {
+            console.log(`Error: find: missing value after "${test}".`);
+            return null;
+        }
 
-        // Check if the entered password is correct
-        if (enteredPassword === users[newUserId].password) {
-            // Switch to the new user
-            activeUserId = newUserId;
-            console.log(`Switched to user "${users[activeUserId].username}" with ID ${activeUserId}.`);
+        if (test === '-name') {
+            criteria.name = value;
+        } else if (test === '-type') {
+            if (!Object.hasOwn(FIND_FILE_TYPES, value)) {
+                console.log(`Error: find: invalid type "${value}". Use f (file), d (directory) or l (symbolic link).`);
+                return null;
+            }
+            criteria.fileType = FIND_FILE_TYPES[value];
+        } else if (test === '-user') {
+            criteria.ownerId = parseUser(fileSystem, value);
+            if (criteria.ownerId === null) {
+                return null;
+            }
+        } else if (test === '-perm') {
+            // "-" requires every bit of the mode and "/" any of them
+            const modeMatch = { '-': 'all', '/': 'any' }[value[0]] || 'exact';
+            criteria.mode = parseMode(modeMatch === 'exact' ? value : value.slice(1), 0, false);
+            criteria.modeMatch = modeMatch;
+            if (criteria.mode === null) {
+                console.log(`Error: find: invalid mode "${value}".`);
+                return null;
+            }
+        } else if (test === '-size') {
+            const match = /^([+-]?)(\d+)([bckMG]?)$/.exec(value);
+            if (!match) {
+                console.log(`Error: find: invalid size "${value}". Use [+|-]n with an optional unit: c, k, M or G.`);
+                return null;
+            }
+            const comparison = { '+': 'greater', '-': 'less', '': 'equal' }[match[1]];
+            criteria.size = { comparison, count: parseInt(match[2], 10), unit: FIND_SIZE_UNITS[match[3] || 'b'] };
         } else {
-            console.log('Error: Incorrect password. User switch failed.');
+            criteria.newer = value;
         }
-    } else {
-        console.log(`Error: User with ID ${newUserId} not found.`);
     }
+
+    return { paths: paths.length > 0 ? paths : ['.'], criteria };
 }
 
-// Main loop
-function mainLoop() {
-    let { disk, rootDirectory } = createDisk();
+// Function to print the message of a failed file system operation and return false; other errors are bugs and are rethrown
+function reportError(error) {
+    if (!(error instanceof FileSystemError)) {
+        throw error;
+    }
 
-    while (true) {
+    console.log(`Error: ${error.message}`);
+    return false;
+}
 
-        console.log('\n--- Available Commands ---');
-        console.log(' "ls" - List directories          "shutdown" - Exit');
-        console.log(' "mkdir" - Create directory       "rmdir" - Remove directory');
-        console.log(' "touch" - Create file            "su" - Switch user');
-        console.log(' "adduser" - Add user             "rmuser" - Remove user');
-        console.log(' "lsuser" - List users            "ls -i" - List Inode of a directory');
-        console.log(' "mkfs" - Reset root directory    "df" - Display disk information');
-        console.log(' "rm" - Delete file               "chmod" - Change permissions');
-        console.log(' "echo" - Write to file           "cat" - Read file');
-        console.log(' "cd" - List directory content    "chown" - Change file/directory ownership');
-        console.log('\n');
-
-        const option = readlineSync.question(`Enter the desired command (Current User: ${users[activeUserId].username}@${activeUserId}): `);
-
-        switch (option) {
-            case 'ls':
-                console.log('\n--- Directory Listing ---');
-                console.log('\n--- Type - Name - InodeID ---');
-                listSubdirectories(rootDirectory, '');
-                break;
-
-            case 'df':
-                console.log('\n--- Disk Information ---');
-                displayDiskInfo(disk);
-                break;
-
-            case 'mkdir':
-                const newDirectoryName = readlineSync.question('Enter the name of the new directory: ');
-                const newDirectoryInode = new Inode(activeUserId, 'directory', 128); // Set ownerId to activeUserId
-                const newDirectory = new Directory(newDirectoryName, newDirectoryInode);
-                rootDirectory.addSubdirectory(newDirectory);
-                allocateBlockOnDisk(disk, newDirectory);
-                console.log(`Directory "${newDirectoryName}" created successfully.`);
-                break;
-
-            case 'rmdir':
-                const directoryToRemove = readlineSync.question('Enter the name of the directory to be removed: ');
-
-                if (directoryToRemove === '/') {
-                    console.log('Error: Cannot remove the root directory.');
-                } else if (rootDirectory.subdirectories[directoryToRemove]) {
-                    const targetDirectory = rootDirectory.subdirectories[directoryToRemove];
-
-                    // Check if the active user has general write permission to remove the directory
-                    const hasGeneralWritePermission = targetDirectory.inode.permissions.general.write;
-
-                    if (activeUserId === 0 || hasGeneralWritePermission) {
-                        // Remove the directory from rootDirectory
-                        delete rootDirectory.subdirectories[directoryToRemove];
-                        console.log(`Directory "${directoryToRemove}" removed successfully.`);
-                    } else {
-                        console.log('Error: You do not have permission to remove this directory.');
-                    }
-                } else {
-                    console.log(`Error: Directory "${directoryToRemove}" not found or is not a directory.`);
-                }
-                break;
+// Function to run a command on every path argument, continuing after a failure; returns false if any of them failed
+function forEachPath(paths, action) {
+    let succeeded = true;
+    for (const path of paths) {
+        try {
+            succeeded = action(path) !== false && succeeded;
+        } catch (error) {
+            succeeded = reportError(error);
+        }
+    }
+    return succeeded;
+}
+
+// Function to execute one command line, returning false if the command failed
+function executeCommand(session, line) {
+    const parsed = parseCommandLine(line);
+    return parsed !== null && executeParsedCommand(session, parsed);
+}
 
-            case 'touch':
-                const fileName = readlineSync.question('Enter the name of the file: ');
-                let fileSize = parseInt(readlineSync.question('Enter the file size in bytes: '), 10);
+// Function to execute a parsed command as one transaction of the file system, returning false if the command failed
+// "crash" is not run in a transaction, since the command it runs is the transaction in which power is lost
+function executeParsedCommand(session, parsed) {
+    try {
+        const run = () => runCommand(session, parsed);
+        return parsed.command === 'crash' ? run() : session.fileSystem.transaction(run);
+    } catch (error) {
+        return reportError(error);
+    }
+}
 
-                // Round up to ensure allocation of whole blocks
-                const numBlocks = Math.ceil(fileSize / 512);
-                fileSize = numBlocks * 512;
+// Function to run a parsed command against the file system; failed operations throw a FileSystemError
+function runCommand(session, { command, flags, args, redirect, append, commandTokens }) {
+    const { fileSystem } = session;
 
-                // Check if there is enough space on the disk
-                const requiredSpace = numBlocks * 512;
-                const availableSpace = disk.filter((block) => block.every((byte) => byte === 0)).length * 512;
+    switch (command) {
+        case 'help':
+            return showHelp(args[0]);
 
-                if (requiredSpace > availableSpace) {
-                    console.log('Error: Not enough space on the disk to create the file.');
-                    break;
-                }
+        case 'history':
+            session.commandHistory.forEach((entry, index) => console.log(`${String(index + 1).padStart(5)}  ${entry}`));
+            return true;
+
+        case 'ls':
+            return listDirectory(fileSystem, args.length > 0 ? args[0] : '.', flags);
 
-                const fileInode = new Inode(activeUserId, 'file', fileSize); // Set ownerId to activeUserId
-                const newFile = new File(fileName, fileInode);
+        case 'tree':
+            const pathToList = args.length > 0 ? args[0] : '.';
+            const { id: inodeId, fileType } = fileSystem.stat(pathToList);
+            const name = fileSystem.normalizePath(pathToList).pop() || '/';
 
-                console.log('\n--- Choose a directory to insert the file ---');
-                console.log('Available directories:');
-                Object.keys(rootDirectory.subdirectories).forEach((subdir) => {
-                    console.log(subdir);
-                });
+            console.log('\n--- Directory Listing ---');
+            console.log('\n--- Type - Name - InodeID ---');
+            listSubdirectories(fileSystem, pathToList, { name, fileType, inodeId });
+            return true;
+
+        case 'stat':
+            return forEachPath(args, (path) => showStat(fileSystem, path));
 
-                const chosenDirectory = readlineSync.question('Enter the name of the directory: ');
+        case 'find':
+            const search = parseFindTests(fileSystem, args);
+            return search !== null && forEachPath(search.paths, (path) => {
+                const { matches, errors } = fileSystem.find(path, search.criteria);
+                matches.forEach((match) => console.log(match));
+                errors.forEach(reportError);
+                return errors.length === 0;
+            });
 
-                if (rootDirectory.subdirectories[chosenDirectory]) {
-                    rootDirectory.subdirectories[chosenDirectory].addFile(newFile);
-                    // Allocate blocks on the disk
-                    for (let i = 0; i < numBlocks; i++) {
-                        allocateBlockOnDisk(disk, newFile);
+        case 'cd':
+            fileSystem.chdir(args.length > 0 ? args[0] : '/');
+            return true;
+
+        case 'pwd':
+            console.log(fileSystem.pwd());
+            return true;
+
+        case 'mkdir':
+            return forEachPath(args, (path) => {
+                const created = fileSystem.mkdir(path, { parents: flags.includes('p') });
+                (flags.includes('p') ? created : [path]).forEach((directoryPath) => console.log(`Directory "${directoryPath}" created successfully.`));
+            });
+
+        case 'rmdir':
+            return forEachPath(args, (path) => {
+                try {
+                    fileSystem.rmdir(path, { recursive: flags.includes('r') });
+                } catch (error) {
+                    if (error.code === 'ENOTEMPTY') {
+                        error.message += ' Use "rmdir -r" to remove it with its contents.';
                     }
-                    console.log(`File "${fileName}" inserted successfully into the directory "${chosenDirectory}".`);
-                } else {
-                    console.log(`Error: Directory "${chosenDirectory}" not found or tried to write to root. `);
+                    throw error;
                 }
-                break;
+                console.log(`Directory "${path}" removed successfully.`);
+            });
 
-            case 'adduser':
-                addUser();
-                break;
+        case 'touch':
+            if (args.length > 1 && !/^\d+$/.test(args[1])) {
+                console.log('Error: Invalid file size.');
+                return false;
+            }
 
-            case 'rmuser':
-                removeUser();
-                break;
+            // Round up to ensure allocation of whole blocks
+            const fileSize = Math.ceil(parseInt(args[1] || '0', 10) / BLOCK_SIZE) * BLOCK_SIZE;
 
-            case 'lsuser':
-                listUsers();
-                break;
+            fileSystem.createZeroFile(args[0], fileSize);
+            console.log(`File "${args[0]}" created successfully.`);
+            return true;
 
-            case 'ls -i':
-                const directoryToInspect = readlineSync.question('Enter the name of the directory or file to list the Inode: ');
-                listInodeOfDirectory(rootDirectory, directoryToInspect);
-                break;
+        case 'rm':
+            return forEachPath(args, (path) => {
+                fileSystem.unlink(path);
+                console.log(`File "${path}" removed successfully.`);
+            });
 
-            case 'mkfs':
-                const confirmReset = readlineSync.keyInYNStrict('Are you sure you want to reset the root directory?');
+        case 'mv':
+            fileSystem.rename(args[0], args[1]);
+            console.log(`"${args[0]}" moved to "${args[1]}".`);
+            return true;
 
-                if (confirmReset) {
-                    resetRoot(rootDirectory);
-                    console.log('Root directory reset successfully.');
-                } else {
-                    console.log('Root directory reset canceled.');
+        case 'cp':
+            try {
+                fileSystem.copy(args[0], args[1], { recursive: flags.includes('r') });
+            } catch (error) {
+                if (error.code === 'EISDIR') {
+                    error.message += ' Use "cp -r" to copy it with its contents.';
                 }
-                break;
+                throw error;
+            }
+            console.log(`"${args[0]}" copied to "${args[1]}".`);
+            return true;
 
-            case 'su':
-                switchUser();
-                break;
+        case 'ln':
+            if (flags.includes('s')) {
+                fileSystem.symlink(args[0], args[1]);
+                console.log(`Symbolic link "${args[1]}" -> "${args[0]}" created successfully.`);
+            } else {
+                fileSystem.link(args[0], args[1]);
+                console.log(`Hard link "${args[1]}" to "${args[0]}" created successfully.`);
+            }
+            return true;
 
-            case 'rm':
-                const targetDirectoryName = readlineSync.question('Enter the name of the directory containing the file to be removed: ');
+        case 'echo':
+            // As in a shell, the text written to a file ends with a new line, so that appends add lines
+            const echoedLine = `${args.join(' ')}\n`;
+            if (redirect === null) {
+                console.log(args.join(' '));
+            } else if (append) {
+                const appendCreated = fileSystem.appendFile(redirect, echoedLine);
+                console.log(appendCreated ? `File "${redirect}" created with the new content.` : `Content appended to file "${redirect}".`);
+            } else if (fileSystem.writeFile(redirect, echoedLine)) {
+                console.log(`File "${redirect}" created with the new content.`);
+            } else {
+                console.log(`Content updated for file "${redirect}".`);
+            }
+            return true;
 
-                if (rootDirectory.subdirectories[targetDirectoryName]) {
-                    const fileToRemove = readlineSync.question('Enter the name of the file to be removed: ');
+        case 'cat':
+            return forEachPath(args, (path) => {
+                const content = fileSystem.readFile(path);
+                console.log('--- Content ---');
+                console.log(content.endsWith('\n') ? content.slice(0, -1) : content);
+                console.log('---');
+            });
+
+        case 'grep':
+            const [grepPattern, ...grepPaths] = args;
+            const showPaths = flags.includes('r') || grepPaths.length > 1;
+
+            return forEachPath(grepPaths, (path) => {
+                const { matches, errors } = fileSystem.grep(grepPattern, path, { recursive: flags.includes('r'), ignoreCase: flags.includes('i') });
+                matches.forEach((match) => console.log(match.binary ? `Binary file "${match.path}" matches.` : `${showPaths ? `${match.path}:` : ''}${match.line}`));
+                errors.forEach(reportError);
+                return errors.length === 0;
+            });
+
+        case 'open':
+            const openedDescriptor = fileSystem.open(args[0], args.length > 1 ? args[1] : 'r');
+            console.log(`File "${args[0]}" opened with descriptor ${openedDescriptor}.`);
+            return true;
 
-                    const targetDirectory = rootDirectory.subdirectories[targetDirectoryName];
+        case 'read':
+            const descriptorToRead = parseDescriptor(args[0]);
+            if (descriptorToRead === null) {
+                return false;
+            } else if (args.length > 1 && !/^\d+$/.test(args[1])) {
+                console.log('Error: Invalid length.');
+                return false;
+            }
 
-                    if (targetDirectory.files[fileToRemove]) {
-                        delete targetDirectory.files[fileToRemove];
-                        console.log(`File "${fileToRemove}" removed successfully from directory "${targetDirectoryName}".`);
-                    } else {
-                        console.log(`Error: File "${fileToRemove}" not found in directory "${targetDirectoryName}".`);
-                    }
-                } else {
-                    console.log(`Error: Directory "${targetDirectoryName}" not found.`);
+            const dataRead = fileSystem.read(descriptorToRead, args.length > 1 ? parseInt(args[1], 10) : Infinity);
+            console.log(`--- ${dataRead.length} bytes read ---`);
+            console.log(dataRead.toString());
+            console.log('---');
+            return true;
+
+        case 'write':
+            const descriptorToWrite = parseDescriptor(args[0]);
+            if (descriptorToWrite === null) {
+                return false;
+            }
+
+            const bytesWritten = fileSystem.write(descriptorToWrite, args.slice(1).join(' '));
+            console.log(`${bytesWritten} bytes written to descriptor ${descriptorToWrite}.`);
+            return true;
+
+        case 'lseek':
+            const descriptorToSeek = parseDescriptor(args[0]);
+            if (descriptorToSeek === null) {
+                return false;
+            } else if (!/^-?\d+$/.test(args[1])) {
+                console.log('Error: Invalid offset.');
+                return false;
+            } else if (args.length > 2 && !['set', 'cur', 'end'].includes(args[2])) {
+                console.log(`Error: Invalid origin "${args[2]}". Use set, cur or end.`);
+                return false;
+            }
+
+            const newOffset = fileSystem.lseek(descriptorToSeek, parseInt(args[1], 10), args.length > 2 ? args[2] : 'set');
+            console.log(`Offset of descriptor ${descriptorToSeek} set to ${newOffset}.`);
+            return true;
+
+        case 'close':
+            return forEachPath(args, (value) => {
+                const descriptorToClose = parseDescriptor(value);
+                if (descriptorToClose === null) {
+                    return false;
                 }
-                break;
 
-            case 'chmod':
-                const directoryToSearch = readlineSync.question('Enter the name of the directory to search for: ');
+                fileSystem.close(descriptorToClose);
+                console.log(`Descriptor ${descriptorToClose} closed.`);
+            });
 
-                const targetDirectoryToChangePermissions = findDirectory(rootDirectory, directoryToSearch);
+        case 'lsof':
+            console.log('\n--- Open Files ---');
+            fileSystem.listOpenFiles().forEach(({ descriptor, path, flags: openFlags, offset }) => {
+                console.log(`${descriptor}: ${path} (mode: ${openFlags}, offset: ${offset})`);
+            });
+            return true;
 
-                if (targetDirectoryToChangePermissions) {
-                    const enteredPasswordForPermissionChange = readlineSync.question('Enter the password for permission change: ', { hideEchoBack: true });
+        case 'chmod':
+            const [newMode, ...chmodPaths] = args;
 
-                    if (activeUserId === 0 || (enteredPasswordForPermissionChange === users[activeUserId].password && targetDirectoryToChangePermissions.inode.ownerId === activeUserId)) {
-                        const permissionGroup = readlineSync.question('Enter the permission group to change (user, group, or general): ');
+            if (parseMode(newMode, 0, false) === null) {
+                console.log('Error: Invalid mode. Use 1 to 4 octal digits or clauses like "u+x", "g-w", "o=r", "a+t" separated by commas.');
+                return false;
+            }
 
-                        if (['user', 'group', 'general'].includes(permissionGroup)) {
-                            const newPermission = readlineSync.question(`Enter the new permissions for ${permissionGroup} (e.g., rwx): `);
+            return forEachPath(chmodPaths, (path) => {
+                const { mode, errors } = fileSystem.chmod(path, newMode, { recursive: flags.includes('R') });
+                errors.forEach(reportError);
+                console.log(`Mode of "${path}" changed to ${mode.toString(8).padStart(4, '0')}.`);
+                return errors.length === 0;
+            });
+
+        case 'chown':
+            const newOwnerId = parseUser(fileSystem, args[0]);
+            return newOwnerId !== null && forEachPath(args.slice(1), (path) => {
+                fileSystem.chown(path, newOwnerId);
+                console.log(`UserId for "${path}" changed to ${newOwnerId}.`);
+            });
+
+        case 'chgrp':
+            if (!fileSystem.findGroup(args[0])) {
+                console.log(`Error: Group "${args[0]}" not found.`);
+                return false;
+            }
 
-                            if (validatePermissionInput(newPermission)) {
-                                // Update the specified permission group of the directory's inode
-                                targetDirectoryToChangePermissions.inode.permissions[permissionGroup].read = newPermission.includes('r');
-                                targetDirectoryToChangePermissions.inode.permissions[permissionGroup].write = newPermission.includes('w');
-                                targetDirectoryToChangePermissions.inode.permissions[permissionGroup].execute = newPermission.includes('x');
+            return forEachPath(args.slice(1), (path) => {
+                fileSystem.chgrp(path, args[0]);
+                console.log(`Group of "${path}" changed to "${args[0]}".`);
+            });
+
+        case 'adduser':
+            // Check if the active user is the admin and the username can be used before asking for the password
+            if (fileSystem.whoami().id !== 0) {
+                console.log('Error: Only the admin user can add new users.');
+                return false;
+            } else if (fileSystem.findUser(args[0])) {
+                console.log(`Error: User "${args[0]}" already exists.`);
+                return false;
+            }
+            validateUsername(args[0]);
 
-                                console.log(`Permissions for ${permissionGroup} of directory "${directoryToSearch}" changed successfully.`);
-                            } else {
-                                console.log('Error: Invalid permission format. Please use "r", "w", and "x".');
-                            }
-                        } else {
-                            console.log('Error: Invalid permission group. Please enter "user", "group", or "general".');
-                        }
-                    } else {
-                        console.log('Error: Incorrect password or insufficient permissions. Permission change failed.');
-                    }
-                } else {
-                    console.log(`Error: Directory "${directoryToSearch}" not found.`);
+            const newUser = fileSystem.addUser(args[0], promptInput('Enter the password for the new user: ', true));
+            console.log(`User "${newUser.username}" created successfully with ID ${newUser.id} and home directory "${newUser.home}".`);
+            return true;
+
+        case 'rmuser':
+            const userIdToRemove = parseUser(fileSystem, args[0]);
+            const heirId = args.length > 1 ? parseUser(fileSystem, args[1]) : undefined;
+            if (userIdToRemove === null || heirId === null) {
+                return false;
+            }
+
+            try {
+                const { username: removedUsername, entries } = fileSystem.removeUser(userIdToRemove, { removeFiles: flags.includes('r'), newOwnerId: heirId });
+                const fate = entries === 0 ? '' : heirId !== undefined ? `, ${entries} entry(ies) given to user with ID ${heirId}` : `, ${entries} entry(ies) deleted`;
+                console.log(`User "${removedUsername}" with ID ${userIdToRemove} removed successfully${fate}.`);
+            } catch (error) {
+                if (error.code === 'ENOTEMPTY') {
+                    error.message += ' Use "rmuser -r" to delete them or "rmuser user newOwner" to give them to another user.';
                 }
-                break;
+                throw error;
+            }
+            return true;
 
-            case 'echo':
-                const itemToSearch = readlineSync.question('Enter the name of the file to write to: ');
+        case 'lsuser':
+            listUsers(fileSystem);
+            return true;
 
-                const targetItem = findDirectory(rootDirectory, itemToSearch);
+        case 'su':
+            const userIdToSwitch = parseUserId(args[0]);
+            if (userIdToSwitch === null) {
+                return false;
+            }
 
-                if (targetItem && targetItem.inode.fileType === 'file') {
+            // Checked before prompting, so that a refused switch does not ask for a password
+            fileSystem.checkSu(userIdToSwitch);
 
-                    // Check if the active user has write permission
-                    if (targetItem.inode.hasWritePermission(activeUserId)) {
-                        // Ask the user to write content
-                        const newContent = readlineSync.question('Enter the content to write to the file: ');
+            // The admin user switches without the password of the other user
+            const switchPassword = fileSystem.whoami().id === 0 ? '' : promptInput('Enter the password: ', true);
+            const { id, username } = fileSystem.su(userIdToSwitch, switchPassword);
+            console.log(`Switched to user "${username}" with ID ${id}.`);
+            return true;
 
-                        // Update the content of the existing file
-                        targetItem.inode.size = Buffer.from(newContent).length;
+        case 'whoami':
+            const activeUser = fileSystem.listUsers().find((user) => user.id === fileSystem.whoami().id);
+            console.log(`${activeUser.username} (ID ${activeUser.id}, groups: ${activeUser.groups.join(', ')})`);
+            return true;
 
-                        // Store the filename and content in an external array
-                        const fileData = {
-                            fileName: itemToSearch,
-                            content: newContent,
-                        };
+        case 'logout':
+            fileSystem.logout();
+            console.log('Logged out.');
+            promptLogin(fileSystem);
+            return true;
 
-                        // Add fileData to an external array or process it as needed
-                        fileStorage.push(fileData);
+        case 'passwd':
+            if (args.length === 0) {
+                const currentPassword = promptInput('Enter your current password: ', true);
+                const newPassword = promptNewPassword();
 
-                        console.log(`Content updated for file "${itemToSearch}".`);
-                    } else {
-                        console.log('Error: You do not have write permission for this file.');
-                    }
-                } else {
-                    console.log(`Error: File "${itemToSearch}" not found or is not a file.`);
-                }
-                break;
-
-            case 'cat':
-                const fileNameToSearch = readlineSync.question('Enter the name of the file to read: ');
-
-                const foundFile = fileStorage.find(file => file.fileName === fileNameToSearch);
-
-                if (foundFile) {
-
-                    // Check if the active user is the owner or has general read permission
-                    const targetItem = findDirectory(rootDirectory, fileNameToSearch);
-                    if (targetItem) {
-                        const isOwner = targetItem.inode.ownerId === activeUserId;
-                        const hasGeneralReadPermission = targetItem.inode.permissions.general.read;
-
-                        if (isOwner || hasGeneralReadPermission) {
-                            console.log('--- Content ---');
-                            console.log(foundFile.content);
-                            console.log('---');
-                        } else {
-                            console.log('Error: You do not have read permission for this file.');
-                        }
-                    } else {
-                        console.log(`Error: File "${fileNameToSearch}" not found.`);
-                    }
-                } else {
-                    console.log(`Error: File "${fileNameToSearch}" not found.`);
+                if (newPassword === null) {
+                    return false;
                 }
-                break;
 
-            case 'cd':
-                const directoryToList = readlineSync.question('Enter the name of the directory to list contents: ');
+                fileSystem.changePassword(currentPassword, newPassword);
+                console.log('Password changed successfully.');
+                return true;
+            }
 
-                const targetDirectoryToList = findDirectory(rootDirectory, directoryToList); // Use 'directoryToList' instead of 'directoryToSearch'
+            const userIdToReset = parseUserId(args[0]);
+            if (userIdToReset === null) {
+                return false;
+            } else if (fileSystem.whoami().id !== 0) {
+                console.log('Error: Only the admin user can reset the password of a user.');
+                return false;
+            }
 
-                if (targetDirectoryToList) {
-                    console.log(`\n--- Contents of Directory "${directoryToList}" ---`);
+            const resetPassword = promptNewPassword();
+            if (resetPassword === null) {
+                return false;
+            }
 
-                    // Display the current directory
-                    console.log(`D - ${targetDirectoryToList.name} (inode: ${targetDirectoryToList.inode.id})`);
+            fileSystem.resetPassword(userIdToReset, resetPassword);
+            console.log(`Password of user with ID ${userIdToReset} reset successfully.`);
+            return true;
 
-                    // Display subdirectories
-                    for (const subdirectoryName in targetDirectoryToList.subdirectories) {
-                        const subdirectory = targetDirectoryToList.subdirectories[subdirectoryName];
-                        console.log(`|   D - ${subdirectory.name} (inode: ${subdirectory.inode.id})`);
-                    }
+        case 'sudo':
+            const sudoCommand = parseTokens(commandTokens);
+            if (!sudoCommand) {
+                return false;
+            } else if (['su', 'logout', 'sudo', 'crash'].includes(sudoCommand.command)) {
+                console.log(`Error: sudo: "${sudoCommand.command}" cannot be run with sudo.`);
+                return false;
+            }
 
-                    // Display files
-                    for (const fileName in targetDirectoryToList.files) {
-                        const file = targetDirectoryToList.files[fileName];
-                        console.log(`|   F - ${file.name} (inode: ${file.inode.id})`);
-                    }
-                } else {
-                    console.log(`Error: Directory "${directoryToList}" not found.`);
-                }
-                break;
+            fileSystem.checkSudo();
+            const { id: sudoUserId, username: sudoUsername } = fileSystem.whoami();
+            const sudoPassword = sudoUserId === 0 ? '' : promptInput(`[sudo] password for ${sudoUsername}: `, true);
+            return fileSystem.sudo(sudoPassword, () => executeParsedCommand(session, sudoCommand));
 
-            case 'chown':
-                const itemToSearch2 = readlineSync.question('Enter the name of the file/directory to change ownership: ');
+        case 'groupadd':
+            const newGroup = fileSystem.addGroup(args[0]);
+            console.log(`Group "${newGroup.name}" created successfully with ID ${newGroup.id}.`);
+            return true;
 
-                const targetItem2 = findDirectory(rootDirectory, itemToSearch2);
+        case 'usermod':
+            if (flags !== 'aG' && flags !== 'Ga') {
+                console.log(`Error: usermod: the -a and -G options are required. Usage: ${COMMAND_HELP.usermod.usage}`);
+                return false;
+            }
 
-                if (targetItem2) {
-                    const newUserId = parseInt(readlineSync.question('Enter the new userId for the file/directory: '), 10);
+            const userIdToAdd = parseUserId(args[1]);
+            if (userIdToAdd === null) {
+                return false;
+            }
 
-                    // Check if the active user has permission to change the userId
-                    if (activeUserId === 0 || activeUserId === targetItem2.inode.ownerId) {
-                        targetItem2.inode.changeOwner(newUserId);
-                        console.log(`UserId for "${itemToSearch2}" changed to ${newUserId}.`);
-                    } else {
-                        console.log('Error: You do not have permission to change the userId for this file/directory.');
-                    }
-                } else {
-                    console.log(`Error: File or directory "${itemToSearch2}" not found.`);
-                }
-                break;
+            fileSystem.addUserToGroup(args[0], userIdToAdd);
+            console.log(`User "${fileSystem.listUsers().find((user) => user.id === userIdToAdd).username}" added to group "${args[0]}".`);
+            return true;
 
-            case 'shutdown':
-                console.log('Shutting down system.');
-                process.exit(0);
+        case 'mkfs':
+            // Check if the active user is the admin before asking for confirmation
+            if (fileSystem.whoami().id !== 0) {
+                console.log('Error: Only the admin user can format the disk.');
+                return false;
+            }
 
-            default:
-                console.log('Invalid command. Please use a supported command.');
-        }
+            if (!flags.includes('y') && !promptConfirm('Are you sure you want to reset the root directory?')) {
+                console.log('Root directory reset canceled.');
+                return true;
+            }
+
+            fileSystem.format(args[0]);
+            console.log('Root directory reset successfully.');
+            return true;
+
+        case 'journal':
+            if (args.length > 0) {
+                fileSystem.setJournalMode(args[0]);
+                console.log(`Journal switched to ${args[0]} mode.`);
+                return true;
+            }
+
+            const { journalMode, journalBlocks } = fileSystem.diskInfo();
+            console.log(journalMode === 'none' ? 'The disk has no journal.' : `Journal: ${journalMode} mode, ${journalBlocks} blocks, next transaction ${fileSystem.journal.sequence}.`);
+            return true;
+
+        case 'crash':
+            const crashedCommand = parseTokens(commandTokens);
+            if (!crashedCommand) {
+                return false;
+            } else if (['crash', 'su', 'logout', 'shutdown'].includes(crashedCommand.command)) {
+                console.log(`Error: crash: "${crashedCommand.command}" cannot be run with crash.`);
+                return false;
+            }
+
+            fileSystem.setCrashPoint(args[0]);
+            try {
+                executeParsedCommand(session, crashedCommand);
+            } finally {
+                fileSystem.setCrashPoint(null);
+            }
+
+            if (!fileSystem.journal.crashed) {
+                console.log('Error: No power loss was simulated because the command did not change the disk.');
+                return false;
+            }
+
+            // The machine stops: only what reached the disk is kept in the image, to be recovered when it is mounted again
+            fileSystem.save(session.imagePath);
+            console.log(`Power lost. The disk was saved as it is to "${session.imagePath}". Mount it again to recover: node FS.js --mount ${session.imagePath}`);
+            process.exit(session.failedCommands > 0 ? 1 : 0);
+
+        case 'df':
+            console.log('\n--- Disk Information ---');
+            displayDiskInfo(fileSystem);
+            return true;
+
+        case 'diskmap':
+            if (!args.every((value) => /^\d+$/.test(value))) {
+                console.log('Error: The first block and the number of blocks must be whole numbers.');
+                return false;
+            }
+
+            const diskMap = fileSystem.diskMap();
+            const firstBlock = args.length > 0 ? parseInt(args[0], 10) : diskMap.dataStart;
+            if (firstBlock >= diskMap.blocks.length) {
+                console.log(`Error: The disk has ${diskMap.blocks.length} blocks.`);
+                return false;
+            }
+
+            // By default, the rows of the data area up to its last used block
+            const lastUsedBlock = diskMap.blocks.reduce((last, owner, address) => (owner !== null ? address : last), firstBlock);
+            const blockCount = args.length > 1 ? parseInt(args[1], 10) : Math.ceil((lastUsedBlock + 1 - firstBlock) / DISK_MAP_ROW_BLOCKS) * DISK_MAP_ROW_BLOCKS;
+            printDiskMap(diskMap, firstBlock, Math.min(Math.max(blockCount, 1), diskMap.blocks.length - firstBlock));
+            return true;
+
+        case 'alloc':
+            if (args.length > 0) {
+                fileSystem.setAllocationStrategy(args[0]);
+            }
+            console.log(`Allocation strategy: ${fileSystem.diskInfo().allocationStrategy}.`);
+            return true;
+
+        case 'defrag':
+            const { movedBlocks, fragmentedBefore, fragmentedAfter } = fileSystem.defragment();
+            console.log(`Disk defragmented: ${movedBlocks} block(s) moved, fragmented files ${fragmentedBefore} -> ${fragmentedAfter}.`);
+            return true;
+
+        case 'quota':
+            const quotaUserId = args.length > 0 ? parseUser(fileSystem, args[0]) : fileSystem.whoami().id;
+            if (quotaUserId === null) {
+                return false;
+            }
+
+            printQuotas(fileSystem.getQuotas([quotaUserId]));
+            return true;
+
+        case 'repquota':
+            if (fileSystem.whoami().id !== 0) {
+                console.log('Error: Only the admin user can report the quota of every user.');
+                return false;
+            }
+
+            printQuotas(fileSystem.getQuotas(fileSystem.listUsers().map((user) => user.id)));
+            return true;
+
+        case 'setquota':
+            if (flags.includes('t') !== (args.length === 1) || (args.length !== 1 && args.length !== 5)) {
+                console.log(`Error: setquota: wrong number of arguments. Usage: ${COMMAND_HELP.setquota.usage}`);
+                return false;
+            } else if (!args.slice(flags.includes('t') ? 0 : 1).every((value) => /^\d+$/.test(value))) {
+                console.log('Error: Quota limits and the grace period must be whole numbers.');
+                return false;
+            }
+
+            if (flags.includes('t')) {
+                fileSystem.setQuotaGracePeriod(parseInt(args[0], 10) * 1000);
+                console.log(`Grace period of soft limits set to ${parseInt(args[0], 10)} seconds.`);
+                return true;
+            }
+
+            const quotaOwnerId = parseUser(fileSystem, args[0]);
+            if (quotaOwnerId === null) {
+                return false;
+            }
+
+            const [softBlocks, hardBlocks, softInodes, hardInodes] = args.slice(1).map((value) => parseInt(value, 10));
+            fileSystem.setQuota(quotaOwnerId, { softBlocks, hardBlocks, softInodes, hardInodes });
+            console.log(`Quota of user with ID ${quotaOwnerId} set successfully.`);
+            return true;
+
+        case 'fsck':
+            if (flags.includes('y') && flags.includes('n')) {
+                console.log(`Error: fsck: -y and -n cannot be used together. Usage: ${COMMAND_HELP.fsck.usage}`);
+                return false;
+            }
+            return checkAndRepair(fileSystem, flags);
+
+        case 'cache':
+            if (args.length === 1 || (args.length === 2 && !['policy', 'mode', 'size'].includes(args[0]))) {
+                console.log(`Error: cache: expected "policy", "mode" or "size" with a value. Usage: ${COMMAND_HELP.cache.usage}`);
+                return false;
+            } else if (args[0] === 'size' && !/^\d+$/.test(args[1])) {
+                console.log('Error: The cache size must be a whole number of blocks.');
+                return false;
+            }
+
+            if (args.length === 2) {
+                const cacheOption = { policy: 'policy', mode: 'writeMode', size: 'capacity' }[args[0]];
+                fileSystem.setCacheOptions({ [cacheOption]: args[0] === 'size' ? parseInt(args[1], 10) : args[1] });
+            }
+
+            const cache = fileSystem.cacheInfo();
+            console.log(`Block cache: ${cache.policy} policy, ${cache.writeMode}, ${cache.capacity} blocks (${cache.cachedBlocks} cached, ${cache.dirtyBlocks} dirty).`);
+            return true;
+
+        case 'iostat':
+            printIOStats(fileSystem.cacheInfo());
+            return true;
+
+        case 'sync':
+            const writtenBlocks = fileSystem.sync();
+            fileSystem.save(session.imagePath);
+            console.log(`${writtenBlocks} dirty block(s) written to the disk. Disk saved to image file "${session.imagePath}".`);
+            return true;
+
+        case 'shutdown':
+            try {
+                fileSystem.save(session.imagePath);
+                console.log(`Disk saved to image file "${session.imagePath}".`);
+            } catch (error) {
+                reportError(error);
+            }
+            console.log('Shutting down system.');
+            process.exit(session.failedCommands > 0 ? 1 : 0);
     }
-}
 
-// Start the main loop
-mainLoop();
+    return false;
+}
 
-// Function to list subdirectories and files with indentation
-function listSubdirectories(directory, indent = '', isFile = false) {
-    // Display the current directory or file
-    if (directory instanceof Directory) {
-        console.log(`${indent}D - ${directory.name} - (inode: ${directory.inode.id})`);
-    } else if (directory instanceof File) {
-        console.log(`${indent}|-- F - ${directory.name} - (inode: ${directory.inode.id})`);
+// Function to list subdirectories and files with indentation, starting from an entry ({ name, fileType, inodeId }) at a path
+function listSubdirectories(fileSystem, path, entry, indent = '') {
+    // Display the current directory, file or symbolic link
+    if (entry.fileType !== 'directory') {
+        console.log(`${indent}|-- ${entry.fileType === 'symlink' ? 'L' : 'F'} - ${entry.name} - (inode: ${entry.inodeId})`);
+        return;
     }
 
-    // Display subdirectories
-    for (const subdirectoryName in directory.subdirectories) {
-        const subdirectory = directory.subdirectories[subdirectoryName];
-        listSubdirectories(subdirectory, `${indent}|   `);
+    console.log(`${indent}D - ${entry.name} - (inode: ${entry.inodeId})`);
+
+    // The contents of a directory are only listed with read and search permission
+    let entries;
+    try {
+        entries = fileSystem.readdir(path);
+    } catch (error) {
+        if (!(error instanceof FileSystemError)) {
+            throw error;
+        }
+        console.log(`${indent}|   (permission denied)`);
+        return;
     }
 
-    // Display files
-    for (const fileName in directory.files) {
-        const file = directory.files[fileName];
-        listSubdirectories(file, `${indent}|   `, true);
+    // Display subdirectories, then files
+    for (const child of entries) {
+        listSubdirectories(fileSystem, `${path}/${child.name}`, child, `${indent}|   `);
     }
 }
 
-// Function to list Inode information of a directory or file
-function listInodeOfDirectory(directory, targetDirectory) {
-    const target = findDirectory(directory, targetDirectory);
-
-    if (target) {
-        // Display Inode information of the target directory or file
-        const inodeInfo = target.inode.getInfo();
-        console.log('\n--- Inode Information of Directory or File ---');
-        console.log(inodeInfo);
+// Function to list a directory, or a single file, as "ls" does with the given flags: "a" includes hidden entries
+// (names starting with ".") and "." and "..", "l" uses the long format, "i" prefixes Inode IDs, "t" sorts by update
+// time and "S" by size (the last one given wins, names otherwise), "R" lists subdirectories too. Returns false if
+// a subdirectory could not be listed
+function listDirectory(fileSystem, path, flags, showHeader = flags.includes('R')) {
+    const info = fileSystem.lstat(path);
+    let entries;
+
+    // A symbolic link is only followed when it points to a directory, so that a dangling link is listed itself
+    const target = info.fileType === 'symlink' ? fileSystem.resolve(path) : null;
+    if (info.fileType !== 'directory' && !(target && target.inode.fileType === 'directory')) {
+        entries = [{ name: path, info }];
+    } else {
+        entries = fileSystem.readdir(path)
+            .filter((entry) => flags.includes('a') || !entry.name.startsWith('.'))
+            .map((entry) => ({ name: entry.name, info: fileSystem.lstat(joinPath(path, entry.name)) }));
 
-        if (target.fileType === 'directory') {
-            // Display Inode information of files in the directory
-            const files = Object.values(target.files || {});
-            if (files.length > 0) {
-                console.log('\n--- Files in the Directory ---');
-                files.forEach((file) => {
-                    const fileInodeInfo = file.inode.getInfo();
-                    console.log(`File: ${file.name}`);
-                    console.log(fileInodeInfo);
-                    console.log('---');
-                });
-            }
+        if (flags.includes('a')) {
+            entries.unshift({ name: '.', info: fileSystem.stat(path) }, { name: '..', info: fileSystem.stat(joinPath(path, '..')) });
+        }
+    }
 
-            // Display Inode information of subdirectories in the directory
-            const subdirectories = Object.values(target.subdirectories || {});
-            if (subdirectories.length > 0) {
-                console.log('\n--- Subdirectories in the Directory ---');
-                subdirectories.forEach((subdirectory) => {
-                    const subdirectoryInodeInfo = subdirectory.inode.getInfo();
-                    console.log(`Subdirectory: ${subdirectory.name}`);
-                    console.log(subdirectoryInodeInfo);
-                    console.log('---');
-                });
-            }
+    const sortFlag = [...flags].reverse().find((flag) => flag === 't' || flag === 'S');
+    entries.sort((a, b) => {
+        if (sortFlag === 't' && a.info.lastUpdateTime.getTime() !== b.info.lastUpdateTime.getTime()) {
+            return b.info.lastUpdateTime - a.info.lastUpdateTime;
+        } else if (sortFlag === 'S' && a.info.size !== b.info.size) {
+            return b.info.size - a.info.size;
         }
+        return a.name < b.name ? -1 : Number(a.name > b.name);
+    });
+
+    if (showHeader) {
+        console.log(`${path}:`);
+    }
+
+    if (flags.includes('l')) {
+        printLongListing(fileSystem, entries, flags.includes('i'));
     } else {
-        console.log(`Error: Directory or File "${targetDirectory}" not found.`);
+        entries.forEach(({ name, info }) => console.log(flags.includes('i') ? `${info.id} ${name}` : name));
     }
+
+    if (!flags.includes('R')) {
+        return true;
+    }
+
+    // Subdirectories are listed after the directory, without following symbolic links
+    let succeeded = true;
+    for (const { name, info } of entries) {
+        if (info.fileType !== 'directory' || name === '.' || name === '..') {
+            continue;
+        }
+
+        console.log('');
+        try {
+            succeeded = listDirectory(fileSystem, joinPath(path, name), flags, true) && succeeded;
+        } catch (error) {
+            succeeded = reportError(error);
+        }
+    }
+
+    return succeeded;
 }
 
-// Function to find a directory or file in the file system
-function findDirectory(directory, targetDirectory) {
-    if (directory.name === targetDirectory) {
-        return directory;
+// Function to print entries ({ name, info }) in the long format of "ls -l": mode, link count, owner, group, size,
+// last update time and name, with the target of symbolic links, optionally after the Inode ID
+function printLongListing(fileSystem, entries, showInodeIds) {
+    const usernames = Object.fromEntries(fileSystem.listUsers().map((user) => [user.id, user.username]));
+    const groupNames = Object.fromEntries(fileSystem.listGroups().map((group) => [group.id, group.name]));
+
+    const rows = entries.map(({ name, info }) => [
+        String(info.id),
+        formatMode(info.fileType, parseInt(info.mode, 8)),
+        String(info.linkCount),
+        usernames[info.ownerId] || String(info.ownerId),
+        groupNames[info.groupId] || String(info.groupId),
+        String(info.size),
+        info.lastUpdateTime.toISOString().slice(0, 16).replace('T', ' '),
+        info.target !== undefined ? `${name} -> ${info.target}` : name,
+    ]);
+
+    // Numbers are aligned to the right, names of users and groups to the left
+    const width = (column) => Math.max(...rows.map((row) => row[column].length));
+    const [idWidth, , linksWidth, ownerWidth, groupWidth, sizeWidth] = [0, 1, 2, 3, 4, 5].map(width);
+
+    for (const [id, mode, links, owner, group, size, time, name] of rows) {
+        const columns = [mode, links.padStart(linksWidth), owner.padEnd(ownerWidth), group.padEnd(groupWidth), size.padStart(sizeWidth), time, name];
+        console.log((showInodeIds ? [id.padStart(idWidth), ...columns] : columns).join(' '));
     }
+}
+
+// Function to print the Inode details of a file, directory or symbolic link (which is not followed)
+function showStat(fileSystem, path) {
+    const info = fileSystem.lstat(path);
+    const owner = fileSystem.listUsers().find((user) => user.id === info.ownerId);
+    const group = fileSystem.listGroups().find((candidate) => candidate.id === info.groupId);
+    const typeNames = { file: 'regular file', directory: 'directory', symlink: 'symbolic link' };
+
+    console.log(`File: "${path}"${info.target !== undefined ? ` -> "${info.target}"` : ''}`);
+    console.log(`Type: ${typeNames[info.fileType]}   Inode: ${info.id}   Links: ${info.linkCount}`);
+    console.log(`Size: ${info.size} bytes (maximum ${info.maxSize})   Blocks: ${info.blocks} of ${BLOCK_SIZE} bytes, ${info.indirectionBlocks} for indirection`);
+    console.log(`Mode: ${info.mode} (${formatMode(info.fileType, parseInt(info.mode, 8))})   Owner: ${info.ownerId} (${owner ? owner.username : 'unknown'})   Group: ${info.groupId} (${group ? group.name : 'unknown'})`);
+    console.log(`Created:  ${info.creationTime.toISOString()}`);
+    console.log(`Accessed: ${info.lastAccessTime.toISOString()}`);
+    console.log(`Modified: ${info.lastUpdateTime.toISOString()}`);
+}
+
+// Function to print the block and Inode usage of users with their soft and hard limits ("-" for no limit) and the end
+// of the grace period of an exceeded soft limit
+function printQuotas(quotas) {
+    const formatLimits = ({ used, soft, hard, graceEnd, expired }) => [
+        String(used),
+        soft ? String(soft) : '-',
+        hard ? String(hard) : '-',
+        expired ? 'expired' : graceEnd ? graceEnd.toISOString().slice(0, 19).replace('T', ' ') : '-',
+    ];
+    const rows = [
+        ['User', 'Blocks', 'Soft', 'Hard', 'Grace', 'Inodes', 'Soft', 'Hard', 'Grace'],
+        ...quotas.map(({ username, blocks, inodes }) => [username, ...formatLimits(blocks), ...formatLimits(inodes)]),
+    ];
+
+    // Numbers are aligned to the right, names and grace periods to the left
+    const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+    for (const row of rows) {
+        console.log(row.map((value, column) => ([0, 4, 8].includes(column) ? value.padEnd(widths[column]) : value.padStart(widths[column]))).join('  ').trimEnd());
+    }
+}
 
-    // Check if targetDirectory is the name of a file in the directory
-    if (directory.files[targetDirectory]) {
-        return directory.files[targetDirectory];
+// Function to print the settings of the block cache and a table of its I/O counters for each replacement policy used,
+// with the share of block accesses found in the cache
+function printIOStats(cache) {
+    console.log(`Block cache: ${cache.policy} policy, ${cache.writeMode}, ${cache.capacity} blocks (${cache.cachedBlocks} cached, ${cache.dirtyBlocks} dirty)`);
+
+    const rows = [
+        ['Policy', 'Reads', 'Writes', 'Hits', 'Misses', 'Hit rate', 'Evictions', 'Disk reads', 'Disk writes'],
+        ...cache.stats.map(({ policy, reads, writes, hits, misses, evictions, diskReads, diskWrites }) => [
+            policy, ...[reads, writes, hits, misses].map(String),
+            hits + misses > 0 ? `${((hits / (hits + misses)) * 100).toFixed(1)}%` : '-',
+            ...[evictions, diskReads, diskWrites].map(String),
+        ]),
+    ];
+
+    // Numbers are aligned to the right, policy names to the left
+    const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+    for (const row of rows) {
+        console.log(row.map((value, column) => (column === 0 ? value.padEnd(widths[column]) : value.padStart(widths[column]))).join('  '));
     }
+}
 
-    // Recursively search subdirectories
-    for (const subdirectoryName in directory.subdirectories) {
-        const subdirectory = directory.subdirectories[subdirectoryName];
-        const result = findDirectory(subdirectory, targetDirectory);
-        if (result) {
-            return result;
+// Function to print a range of blocks of a disk map, one symbol per block and DISK_MAP_ROW_BLOCKS blocks per row,
+// followed by the files using blocks (with the symbol of those in the range) and the fragmentation of the disk
+function printDiskMap(diskMap, firstBlock, blockCount) {
+    const formatRange = (start, count) => (count === 1 ? `${start}` : `${start}-${start + count - 1}`);
+    const symbols = {};
+    const symbolOf = (owner) => {
+        if (owner === null) {
+            return '.';
+        } else if (typeof owner === 'string') {
+            return DISK_MAP_AREAS[owner].symbol;
+        } else if (owner.indirection) {
+            return '*';
+        } else if (symbols[owner.inodeId] === undefined) {
+            const used = Object.keys(symbols).length;
+            symbols[owner.inodeId] = used < DISK_MAP_FILE_SYMBOLS.length ? DISK_MAP_FILE_SYMBOLS[used] : '+';
         }
+        return symbols[owner.inodeId];
+    };
+
+    console.log('\n--- Disk Map ---');
+    console.log(`Reserved: ${diskMap.reserved.map(({ area, start, count }) => `${DISK_MAP_AREAS[area].name} ${formatRange(start, count)}`).join(', ')}`);
+    console.log(`Allocation strategy: ${diskMap.allocationStrategy}`);
+    console.log(`Blocks ${formatRange(firstBlock, blockCount)} ("." free, "*" indirection block, ${diskMap.reserved.map(({ area }) => `"${DISK_MAP_AREAS[area].symbol}" ${DISK_MAP_AREAS[area].name}`).join(', ')}, other symbols: the files below):`);
+
+    const addressWidth = String(diskMap.blocks.length - 1).length;
+    for (let start = firstBlock; start < firstBlock + blockCount; start += DISK_MAP_ROW_BLOCKS) {
+        const row = diskMap.blocks.slice(start, Math.min(start + DISK_MAP_ROW_BLOCKS, firstBlock + blockCount));
+        console.log(`${String(start).padStart(addressWidth)}  ${row.map(symbolOf).join('')}`);
+    }
+
+    // Files without blocks have no fragmentation to show
+    const files = diskMap.files.filter((file) => file.blocks > 0);
+    const rows = [
+        ['Symbol', 'Inode', 'Type', 'Blocks', 'Extents', 'Path'],
+        ...files.map(({ inodeId, path, fileType, blocks, extents }) => [
+            symbols[inodeId] || '-', String(inodeId), fileType, String(blocks), String(extents), path === null ? '(user table)' : path,
+        ]),
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+    console.log('');
+    for (const row of rows) {
+        console.log(row.map((value, column) => ([1, 3, 4].includes(column) ? value.padStart(widths[column]) : value.padEnd(widths[column]))).join('  ').trimEnd());
     }
 
-    return null;
+    const fragmented = files.filter((file) => file.extents > 1).length;
+    const averageExtents = files.length > 0 ? files.reduce((total, file) => total + file.extents, 0) / files.length : 0;
+    console.log(`\nFragmented files: ${fragmented} of ${files.length} (${averageExtents.toFixed(2)} extents per file on average)`);
+    console.log(`Free space: ${diskMap.freeRuns} run(s) of free blocks, the largest of ${diskMap.largestFreeRun} blocks`);
+}
+
+// Function to list users with both name and ID
+function listUsers(fileSystem) {
+    console.log('\n--- User List ---');
+    for (const user of fileSystem.listUsers()) {
+        console.log(`ID: ${user.id}, Name: ${user.username}, Groups: ${user.groups.join(', ')}`);
+    }
 }
 
-// Function to validate permission input format
-function validatePermissionInput(permission) {
-    const validChars = ['r', 'w', 'x'];
+// Function to display disk information
+function displayDiskInfo(fileSystem) {
+    const info = fileSystem.diskInfo();
 
-    // Check if each character in the input is a valid permission character
-    for (const char of permission) {
-        if (!validChars.includes(char)) {
-            return false;
-        }
+    console.log("\n");
+    console.log(`Total Bytes: ${info.totalBytes} bytes`);
+    console.log(`Available Bytes: ${info.availableBytes}`);
+    console.log(`Total Blocks: ${info.totalBlocks}`);
+    console.log(`Free Blocks: ${info.freeBlocks}`);
+    console.log(`Used Blocks: ${info.usedBlocks} (${info.reservedBlocks} reserved for the superblock, bitmap, Inode table and journal)`);
+    console.log(`Used Inodes: ${info.usedInodes} of ${info.inodeCount}`);
+    console.log(`Maximum File Size: ${info.maxFileSize} bytes`);
+    console.log(`Journal: ${info.journalMode === 'none' ? 'none' : `${info.journalMode} mode, ${info.journalBlocks} blocks`}`);
+}
+
+// Function to check the file system and repair it when confirmed ("y" flag) or asked for; the "n" flag only reports
+// problems. Returns false if problems were found and left unrepaired
+function checkAndRepair(fileSystem, flags) {
+    const problems = fileSystem.check(false);
+
+    console.log('\n--- File System Check ---');
+
+    if (problems.length === 0) {
+        console.log('No problems found. The file system is consistent.');
+        return true;
+    }
+
+    problems.forEach((problem) => console.log(`- ${problem}`));
+
+    const repair = flags.includes('y') || (!flags.includes('n') && promptConfirm(`${problems.length} problem(s) found. Repair them?`));
+
+    if (!repair) {
+        console.log('File system left unchanged.');
+        return false;
     }
 
+    fileSystem.check(true);
+    console.log('File system repaired.');
     return true;
 }
@@ -0,0 +1,3772 @@
+// Importing the 'fs' library to save and mount disk image files
+const fs = require('fs');
+
+// Importing the 'crypto' library to hash passwords
+const crypto = require('crypto');
+
+// Size of each disk block in bytes
+const BLOCK_SIZE = 512;
+
+// Number of block addresses (4 bytes each) that fit in an indirection block
+const POINTERS_PER_BLOCK = BLOCK_SIZE / 4;
+
+// Number of data block addresses stored directly in an Inode
+const DIRECT_BLOCKS = 10;
+
+// Inode fields holding the single, double and triple indirection blocks, in the order a file uses them: a block of
+// level n points to blocks of level n - 1, down to the data blocks, so it covers POINTERS_PER_BLOCK ** n of them
+const INDIRECTION_FIELDS = ['indirectionAddress', 'doubleIndirectionAddress', 'tripleIndirectionAddress'];
+
+// Maximum number of data blocks of a file (10 direct addresses plus the blocks under each indirection level)
+const MAX_FILE_BLOCKS = INDIRECTION_FIELDS.reduce((total, _, i) => total + POINTERS_PER_BLOCK ** (i + 1), DIRECT_BLOCKS);
+
+// Maximum size of a file in bytes
+const MAX_FILE_SIZE = MAX_FILE_BLOCKS * BLOCK_SIZE;
+
+// Minimum and maximum disk sizes in bytes
+const MIN_DISK_SIZE = 4096;
+const MAX_DISK_SIZE = 33554432;
+
+// Magic number identifying a formatted disk ("LFSS") and version of the on-disk layout
+const FS_MAGIC = 0x4C465353;
+const FS_VERSION = 2;
+
+// Fields stored in the superblock (block 0), each one as a 4-byte unsigned integer
+const SUPERBLOCK_FIELDS = [
+    'magic', 'version', 'blockSize', 'totalBlocks', 'freeBlocks', 'inodeCount', 'freeInodes',
+    'bitmapStart', 'bitmapBlocks', 'inodeTableStart', 'inodeTableBlocks', 'dataStart', 'nextFreeHint', 'rootInode', 'usersInode',
+    'journalStart', 'journalBlocks', 'journalMode', 'allocationStrategy',
+];
+
+// Journal modes stored in the superblock: without a journal, with metadata journaling (file data is written in place
+// before the metadata is committed) or with data journaling (file data is logged with the metadata)
+const JOURNAL_MODES = { none: 0, ordered: 1, data: 2 };
+
+// The journal takes one block in 16 of the disk, between the Inode table and the data area, up to 1024 blocks; a
+// transaction needs a descriptor block, the logged blocks and a commit block
+const JOURNAL_SIZE_RATIO = 16;
+const MIN_JOURNAL_BLOCKS = 8;
+const MAX_JOURNAL_BLOCKS = 1024;
+
+// Magic numbers of the journal descriptor ("JDES") and commit ("JCMT") blocks, which start with the magic number,
+// the sequence number of the transaction and the number of logged blocks; descriptor blocks then list the home
+// addresses of the logged blocks, and the commit block holds a SHA-256 checksum of the transaction
+const JOURNAL_DESCRIPTOR_MAGIC = 0x4A444553;
+const JOURNAL_COMMIT_MAGIC = 0x4A434D54;
+const JOURNAL_HEADER_SIZE = 12;
+const ADDRESSES_PER_DESCRIPTOR = (BLOCK_SIZE - JOURNAL_HEADER_SIZE) / 4;
+
+// Points at which power loss can be simulated while a transaction is written: halfway through the in-place writes of
+// file data (ordered mode), after the journal blocks but before the commit block, after the commit block, and halfway
+// through the checkpoint of the logged blocks to their home locations (the only point without a journal)
+const CRASH_POINTS = ['data', 'journal', 'commit', 'checkpoint'];
+
+// Strategies choosing the free blocks given to a file, stored in the superblock: the first run of free blocks large
+// enough for them from the start of the data area (first-fit) or from the last allocation (next-fit), the smallest
+// run large enough (best-fit), or the run continuing the file in place, else the largest run, leaving the file room
+// to grow (contiguous). Blocks that fit in no single run are spread over several
+const ALLOCATION_STRATEGIES = { 'next-fit': 0, 'first-fit': 1, 'best-fit': 2, contiguous: 3 };
+
+// Replacement policies of the block cache (least recently used, first in first out, or the clock approximation of
+// LRU giving recently used blocks a second chance) and its write modes: changed blocks are written to the disk when
+// they are evicted or synced (write-back), or at once (write-through)
+const CACHE_POLICIES = ['lru', 'fifo', 'clock'];
+const CACHE_WRITE_MODES = ['write-back', 'write-through'];
+const DEFAULT_CACHE_BLOCKS = 64;
+const MAX_CACHE_BLOCKS = 4096;
+
+// Size of each serialized Inode in the Inode table, and how many fit in a block
+const INODE_SIZE = 128;
+const INODES_PER_BLOCK = BLOCK_SIZE / INODE_SIZE;
+
+// Number of data blocks served by each Inode of the Inode table
+const BLOCKS_PER_INODE = 8;
+
+// Codes used to store the file type of an Inode (0 marks a free Inode)
+const FILE_TYPE_CODES = { file: 1, directory: 2, symlink: 3 };
+
+// Size of each directory entry (4-byte Inode ID, 1-byte name length and the name) and the longest name it holds
+const DIRECTORY_ENTRY_SIZE = 64;
+const MAX_NAME_LENGTH = DIRECTORY_ENTRY_SIZE - 5;
+
+// Order of the permission classes in the mode bits, from the most significant
+const PERMISSION_CLASSES = ['user', 'group', 'general'];
+
+// Special mode bits stored above the 9 permission bits
+const SETUID_BIT = 0o4000;
+const SETGID_BIT = 0o2000;
+const STICKY_BIT = 0o1000;
+
+// Default mode bits of new directories (rwxr-xr-x), new files (rw-r--r--), symbolic links (rwxrwxrwx, never checked)
+// and the shared root directory (rwxrwxrwt)
+const DEFAULT_DIRECTORY_MODE = 0o755;
+const DEFAULT_FILE_MODE = 0o644;
+const DEFAULT_SYMLINK_MODE = 0o777;
+const ROOT_DIRECTORY_MODE = 0o1777;
+
+// IDs of the groups created with the disk: the admin group and the default group of new users
+const ADMIN_GROUP_ID = 0;
+const USERS_GROUP_ID = 1;
+
+// Usernames start with a letter or underscore, followed by letters, digits, underscores or hyphens
+const USERNAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const MAX_USERNAME_LENGTH = 32;
+
+// Directory holding the home directory of each user, created with the first user added
+const HOME_PATH = '/home';
+
+// Access modes accepted when opening a file, as in fopen: "r" reads, "w" truncates or creates the file to write it,
+// "a" creates the file if needed and appends every write to its end; "+" adds the missing read or write access
+const OPEN_FLAGS = {
+    'r': { read: true, write: false, append: false, truncate: false, create: false },
+    'r+': { read: true, write: true, append: false, truncate: false, create: false },
+    'w': { read: false, write: true, append: false, truncate: true, create: true },
+    'w+': { read: true, write: true, append: false, truncate: true, create: true },
+    'a': { read: false, write: true, append: true, truncate: false, create: true },
+    'a+': { read: true, write: true, append: true, truncate: false, create: true },
+};
+
+// Number of symbolic links followed while resolving one path before giving up on a loop
+const MAX_SYMLINK_DEPTH = 8;
+
+// Password of the admin user when none is given while creating a disk
+const DEFAULT_ADMIN_PASSWORD = '1234';
+
+// Size in bytes of the random salt of each password and of the scrypt hash stored for it
+const PASSWORD_SALT_SIZE = 16;
+const PASSWORD_HASH_SIZE = 32;
+
+// Failed password attempts in a row that lock an account, and how long it stays locked (in milliseconds)
+const MAX_FAILED_LOGINS = 3;
+const LOCKOUT_DURATION = 5 * 60 * 1000;
+
+// Time a user may stay over a soft quota limit before further allocations are refused (7 days by default)
+const DEFAULT_QUOTA_GRACE_PERIOD = 7 * 24 * 60 * 60 * 1000;
+
+// Class representing an error of a file system operation, with a POSIX-like code (ENOENT, EACCES, EEXIST, ...)
+class FileSystemError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'FileSystemError';
+        this.code = code;
+    }
+}
+
+// Class representing a user with a unique ID, username, primary group and salted password hash, with the failed
+// password attempts since the last successful one and the time until which the account is locked (0 if unlocked)
+// The quota limits the blocks and Inodes the user owns: each has a soft and a hard limit (0 for no limit) and the end of
+// the grace period started when the soft limit was exceeded (0 if not running)
+class User {
+    constructor(id, username, groupId = USERS_GROUP_ID) {
+        this.id = id;
+        this.username = username;
+        this.groupId = groupId;
+        this.salt = '';
+        this.passwordHash = '';
+        this.failedLogins = 0;
+        this.lockedUntil = 0;
+        this.quota = { blocks: { soft: 0, hard: 0, graceEnd: 0 }, inodes: { soft: 0, hard: 0, graceEnd: 0 } };
+    }
+
+    // Function to store a password as its hash with a new random salt
+    setPassword(password) {
+        this.salt = crypto.randomBytes(PASSWORD_SALT_SIZE).toString('hex');
+        this.passwordHash = hashPassword(password, this.salt);
+    }
+
+    // Function to check a password against the stored hash, comparing in constant time
+    checkPassword(password) {
+        const expected = Buffer.from(this.passwordHash, 'hex');
+        const actual = Buffer.from(hashPassword(password, this.salt), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+}
+
+// Class representing a group with a unique ID, name and the IDs of its supplementary members
+class Group {
+    constructor(id, name) {
+        this.id = id;
+        this.name = name;
+        this.members = [];
+    }
+}
+
+// Class representing the structure of an Inode (Index Node) in a file system
+class Inode {
+    constructor(id, ownerId, groupId, fileType, size, time = new Date()) {
+        this.id = id; // Position of the Inode in the Inode table
+        this.ownerId = ownerId;
+        this.groupId = groupId;
+        this.fileType = fileType; // 'directory' for directories, 'file' for files, 'symlink' for symbolic links
+        this.size = size;
+        // Number of directory entries pointing to the Inode: for a directory, its entry in its parent, its own "." entry
+        // and the ".." entry of each subdirectory
+        this.linkCount = fileType === 'directory' ? 2 : 1;
+        this.creationTime = new Date(time);
+        this.lastAccessTime = new Date(time);
+        this.lastUpdateTime = new Date(time);
+
+        // File permissions for user, group, and general, plus the setuid, setgid and sticky bits
+        this.permissions = {};
+        this.specialBits = {};
+        this.setMode({ directory: DEFAULT_DIRECTORY_MODE, file: DEFAULT_FILE_MODE, symlink: DEFAULT_SYMLINK_MODE }[fileType]);
+
+        // An array to store block addresses for data storage (10 block addresses)
+        this.blockAddresses = Array.from({ length: DIRECT_BLOCKS }, () => null);
+
+        // Addresses for simple, double and triple indirection
+        this.indirectionAddress = null;
+        this.doubleIndirectionAddress = null;
+        this.tripleIndirectionAddress = null;
+    }
+
+    // Function to retrieve Inode information
+    getInfo() {
+        return {
+            id: this.id,
+            ownerId: this.ownerId,
+            groupId: this.groupId,
+            fileType: this.fileType,
+            size: this.size,
+            blocks: countFileBlocks(this.size),
+            indirectionBlocks: countIndirectionBlocks(Math.ceil(this.size / BLOCK_SIZE)),
+            maxSize: MAX_FILE_SIZE,
+            linkCount: this.linkCount,
+            creationTime: this.creationTime,
+            lastAccessTime: this.lastAccessTime,
+            lastUpdateTime: this.lastUpdateTime,
+            mode: this.getMode().toString(8).padStart(4, '0'),
+            permissions: this.permissions,
+            specialBits: this.specialBits,
+        };
+    }
+
+    // Function to check if a user, given as { userId, groupIds }, has every requested permission ('r', 'w' and/or 'x')
+    // Only the first matching class applies: the owner, then members of the group, then everyone else
+    hasPermission(credentials, access) {
+        // The admin user can access everything
+        if (credentials.userId === 0) {
+            return true;
+        }
+
+        let permissionClass = 'general';
+        if (credentials.userId === this.ownerId) {
+            permissionClass = 'user';
+        } else if (credentials.groupIds.includes(this.groupId)) {
+            permissionClass = 'group';
+        }
+
+        const { read, write, execute } = this.permissions[permissionClass];
+        return (!access.includes('r') || read) && (!access.includes('w') || write) && (!access.includes('x') || execute);
+    }
+
+    // Function to change the owner of the Inode
+    changeOwner(userId) {
+        this.ownerId = userId;
+    }
+
+    // Function to change the group of the Inode
+    changeGroup(groupId) {
+        this.groupId = groupId;
+    }
+
+    // Function to get the 12 mode bits of the Inode (special bits and rwxrwxrwx)
+    getMode() {
+        const { setuid, setgid, sticky } = this.specialBits;
+        return (setuid ? SETUID_BIT : 0) | (setgid ? SETGID_BIT : 0) | (sticky ? STICKY_BIT : 0) | permissionsToMode(this.permissions);
+    }
+
+    // Function to set the permissions and special bits of the Inode from 12 mode bits
+    setMode(mode) {
+        this.permissions = modeToPermissions(mode);
+        this.specialBits = {
+            setuid: (mode & SETUID_BIT) !== 0,
+            setgid: (mode & SETGID_BIT) !== 0,
+            sticky: (mode & STICKY_BIT) !== 0,
+        };
+    }
+
+    // Function to serialize the Inode into its fixed-size binary form
+    // Layout: type (1), unused (1), mode (2), owner (4), group (4), size (4), creation, access and update
+    // times (8 each), 10 direct block addresses (4 each), the indirection address (4), the link count (2), unused (2),
+    // then the double and triple indirection addresses (4 each); 0 marks an unused address
+    serialize() {
+        const buffer = Buffer.alloc(INODE_SIZE);
+        buffer.writeUInt8(FILE_TYPE_CODES[this.fileType], 0);
+        buffer.writeUInt16LE(this.getMode(), 2);
+        buffer.writeUInt32LE(this.ownerId, 4);
+        buffer.writeUInt32LE(this.groupId, 8);
+        buffer.writeUInt32LE(this.size, 12);
+        buffer.writeDoubleLE(this.creationTime.getTime(), 16);
+        buffer.writeDoubleLE(this.lastAccessTime.getTime(), 24);
+        buffer.writeDoubleLE(this.lastUpdateTime.getTime(), 32);
+        this.blockAddresses.forEach((address, i) => {
+            buffer.writeUInt32LE(address === null ? 0 : address, 40 + i * 4);
+        });
+        buffer.writeUInt32LE(this.indirectionAddress === null ? 0 : this.indirectionAddress, 80);
+        buffer.writeUInt16LE(this.linkCount, 84);
+        buffer.writeUInt32LE(this.doubleIndirectionAddress === null ? 0 : this.doubleIndirectionAddress, 88);
+        buffer.writeUInt32LE(this.tripleIndirectionAddress === null ? 0 : this.tripleIndirectionAddress, 92);
+        return buffer;
+    }
+
+    // Static function to rebuild an Inode from its binary form (null for a free Inode)
+    static deserialize(id, buffer) {
+        const fileType = Object.keys(FILE_TYPE_CODES).find((type) => FILE_TYPE_CODES[type] === buffer.readUInt8(0));
+
+        if (!fileType) {
+            return null;
+        }
+
+        const inode = new Inode(id, buffer.readUInt32LE(4), buffer.readUInt32LE(8), fileType, buffer.readUInt32LE(12));
+        inode.setMode(buffer.readUInt16LE(2));
+        inode.creationTime = new Date(buffer.readDoubleLE(16));
+        inode.lastAccessTime = new Date(buffer.readDoubleLE(24));
+        inode.lastUpdateTime = new Date(buffer.readDoubleLE(32));
+        inode.blockAddresses = inode.blockAddresses.map((_, i) => buffer.readUInt32LE(40 + i * 4) || null);
+        inode.indirectionAddress = buffer.readUInt32LE(80) || null;
+
+        // Images written before link counts were stored have 0 there, for a single link
+        inode.linkCount = buffer.readUInt16LE(84) || 1;
+        inode.doubleIndirectionAddress = buffer.readUInt32LE(88) || null;
+        inode.tripleIndirectionAddress = buffer.readUInt32LE(92) || null;
+        return inode;
+    }
+}
+
+// Class representing a File with a name and associated Inode
+class File {
+    constructor(name, inode) {
+        this.name = name;
+        this.inode = inode;
+    }
+}
+
+// Class representing a symbolic link with a name and associated Inode, whose data is the path it points to
+class SymbolicLink {
+    constructor(name, inode) {
+        this.name = name;
+        this.inode = inode;
+    }
+}
+
+// Class defining the structure of a directory with a name and associated Inode
+class Directory {
+    constructor(name, inode) {
+        this.name = name;
+        this.inode = inode;
+
+        // Entries indexed by name, without a prototype so that names such as "constructor" are not found in it
+        this.files = Object.create(null);
+        this.subdirectories = Object.create(null);
+    }
+
+    // Function to check if a file or subdirectory with the given name already exists
+    hasEntry(name) {
+        return Boolean(this.files[name] || this.subdirectories[name]);
+    }
+
+    // Function to add a file or symbolic link to the directory, refusing names that already exist
+    addFile(file) {
+        if (this.hasEntry(file.name)) {
+            return false;
+        }
+        this.files[file.name] = file;
+        return true;
+    }
+
+    // Function to add a subdirectory to the directory, refusing names that already exist
+    addSubdirectory(subdirectory) {
+        if (this.hasEntry(subdirectory.name)) {
+            return false;
+        }
+        this.subdirectories[subdirectory.name] = subdirectory;
+        return true;
+    }
+
+    // Function to remove a file or subdirectory from the directory
+    removeEntry(name) {
+        delete this.files[name];
+        delete this.subdirectories[name];
+    }
+
+    // Function to check if an entry is anywhere in the tree of the directory
+    contains(entry) {
+        return Object.values(this.files).includes(entry)
+            || Object.values(this.subdirectories).some((subdirectory) => subdirectory === entry || subdirectory.contains(entry));
+    }
+}
+
+// Class representing the buffer cache between the file system and its disk (an array of blocks): up to capacity
+// blocks are kept in memory, loaded from the disk on a miss, and the replacement policy chooses the block evicted
+// when the cache is full. Changed blocks are marked dirty until they reach the disk, depending on the write mode
+// A block returned by read belongs to the cache: a caller that changes it must write it back
+// Reads, writes, hits, misses and the block I/O reaching the disk are counted for each policy used
+class BlockCache {
+    constructor(blocks, options = {}) {
+        this.blocks = blocks;
+        this.length = blocks.length;
+        this.policy = options.policy || 'lru';
+        this.writeMode = options.writeMode || 'write-back';
+        this.capacity = options.capacity || DEFAULT_CACHE_BLOCKS;
+
+        // Cached blocks indexed by address ({ block, dirty, referenced }), from the oldest to the newest insertion
+        // (or use, for LRU), which is the eviction order, and the frames swept by the hand of the clock
+        this.entries = new Map();
+        this.frames = [];
+        this.hand = 0;
+        this.stats = {};
+
+        // Content on the disk of the blocks written since tracking started, indexed by address (null when not tracking)
+        this.originals = null;
+    }
+
+    // Function to read a block, from the cache on a hit or from the disk on a miss
+    read(address) {
+        this.getStats().reads++;
+        return this.lookup(address, true).block;
+    }
+
+    // Function to write a whole block into the cache, marking it dirty, and to the disk in write-through mode
+    write(address, block) {
+        this.getStats().writes++;
+        if (this.originals && !this.originals.has(address)) {
+            this.originals.set(address, Buffer.from(this.blocks[address]));
+        }
+
+        const entry = this.lookup(address, false);
+        entry.block = block;
+        entry.dirty = true;
+
+        if (this.writeMode === 'write-through') {
+            this.flush(address, entry);
+        }
+    }
+
+    // Function to find the entry of a block, counting a hit or a miss; on a miss, a full cache evicts a block and the
+    // new entry is loaded from the disk unless the block is about to be overwritten
+    lookup(address, load) {
+        const stats = this.getStats();
+        let entry = this.entries.get(address);
+
+        if (entry) {
+            stats.hits++;
+            entry.referenced = true;
+
+            // The most recently used block moves to the end of the LRU order
+            if (this.policy === 'lru') {
+                this.entries.delete(address);
+                this.entries.set(address, entry);
+            }
+            return entry;
+        }
+
+        stats.misses++;
+        if (this.entries.size >= this.capacity) {
+            this.evict();
+        }
+
+        entry = { block: null, dirty: false, referenced: true };
+        if (load) {
+            entry.block = Buffer.from(this.blocks[address]);
+            stats.diskReads++;
+        }
+        this.entries.set(address, entry);
+
+        // The clock keeps its frames in a circle: once they are all taken, a new block takes the frame freed at the hand
+        if (this.policy === 'clock' && this.frames.length < this.capacity) {
+            this.frames.push(address);
+        } else if (this.policy === 'clock') {
+            this.frames[this.hand] = address;
+            this.hand = (this.hand + 1) % this.capacity;
+        }
+        return entry;
+    }
+
+    // Function to evict the block chosen by the replacement policy, writing it to the disk if it is dirty
+    evict() {
+        let address = this.entries.keys().next().value;
+
+        // The hand of the clock skips the blocks used since it last passed, clearing their reference bit
+        if (this.policy === 'clock') {
+            while (this.entries.get(this.frames[this.hand]).referenced) {
+                this.entries.get(this.frames[this.hand]).referenced = false;
+                this.hand = (this.hand + 1) % this.capacity;
+            }
+            address = this.frames[this.hand];
+        }
+
+        const entry = this.entries.get(address);
+        if (entry.dirty) {
+            this.flush(address, entry);
+        }
+        this.entries.delete(address);
+        this.getStats().evictions++;
+    }
+
+    // Function to write a cached block to the disk and mark it clean
+    flush(address, entry) {
+        this.blocks[address] = Buffer.from(entry.block);
+        entry.dirty = false;
+        this.getStats().diskWrites++;
+    }
+
+    // Function to write every dirty block to the disk, returning how many were written
+    sync() {
+        let written = 0;
+
+        for (const [address, entry] of this.entries) {
+            if (entry.dirty) {
+                this.flush(address, entry);
+                written++;
+            }
+        }
+
+        return written;
+    }
+
+    // Function to start recording the blocks written, with their content on the disk before the first write; the
+    // blocks already dirty reach the disk with the next ones, so they are recorded too
+    track() {
+        this.originals = new Map();
+        for (const [address, entry] of this.entries) {
+            if (entry.dirty) {
+                this.originals.set(address, Buffer.from(this.blocks[address]));
+            }
+        }
+    }
+
+    // Function to stop recording the blocks written, returning their original content indexed by address
+    untrack() {
+        const originals = this.originals;
+        this.originals = null;
+        return originals;
+    }
+
+    // Function to empty the cache without writing its dirty blocks, when the disk has changed under it
+    invalidate() {
+        this.entries.clear();
+        this.frames = [];
+        this.hand = 0;
+    }
+
+    // Function to change the replacement policy, write mode or capacity; dirty blocks are written first, and the cache
+    // starts empty with a new policy or capacity
+    configure({ policy = this.policy, writeMode = this.writeMode, capacity = this.capacity }) {
+        this.sync();
+
+        if (policy !== this.policy || capacity !== this.capacity) {
+            this.invalidate();
+        }
+
+        Object.assign(this, { policy, writeMode, capacity });
+    }
+
+    // Function to get the I/O counters of the current replacement policy
+    getStats() {
+        if (!this.stats[this.policy]) {
+            this.stats[this.policy] = { reads: 0, writes: 0, hits: 0, misses: 0, evictions: 0, diskReads: 0, diskWrites: 0 };
+        }
+        return this.stats[this.policy];
+    }
+}
+
+// Class representing a mounted file system: its disk, directory tree, users and groups, and the session of the
+// active user (current directory). Every operation checks the permissions of the active user and throws a
+// FileSystemError when it cannot be done
+// A new or mounted file system has no active user until login. Operations that affect other users or the whole disk
+// (managing users and groups, resetting passwords, changing owners, formatting and checking the disk) are reserved
+// for the admin user; other members of the admin group run them through sudo after confirming their own password
+class FileSystem {
+    // The clock option returns the time used for timestamps (the system time by default), and the cache option sets
+    // the policy, writeMode and capacity of the block cache through which the blocks of the disk are accessed
+    constructor(disk, rootDirectory, options = {}) {
+        this.disk = new BlockCache(disk, options.cache);
+        this.rootDirectory = rootDirectory;
+        this.clock = options.clock || (() => new Date());
+
+        // User and group tables, loaded from the disk or created with it
+        this.users = {};
+        this.groups = {};
+        this.nextUserId = 0;
+        this.nextGroupId = 0;
+        this.quotaGracePeriod = DEFAULT_QUOTA_GRACE_PERIOD;
+
+        // Session of the active user (null when logged out), with its table of open files indexed by descriptor
+        this.activeUserId = null;
+        this.currentPath = '/';
+        this.openFiles = {};
+
+        // Journal state: sequence number of the next transaction, nesting depth of the running transaction, step of
+        // the next transaction at which power loss is simulated (null if none), whether it happened, and what was
+        // recovered from the journal when the disk was mounted
+        this.journal = { sequence: 1, depth: 0, crashPoint: null, crashed: false, recovery: null };
+    }
+
+    // Static function to create a formatted disk of the given size with the admin user and the default groups
+    // The journalMode option ('none', 'ordered' or 'data') adds a journal to the disk
+    static create(sizeInBytes, adminPassword = '', options = {}) {
+        if (!(sizeInBytes >= MIN_DISK_SIZE && sizeInBytes <= MAX_DISK_SIZE)) {
+            throw new FileSystemError('EINVAL', `Disk size must be between ${MIN_DISK_SIZE} and ${MAX_DISK_SIZE} bytes.`);
+        }
+
+        // Simulate the disk as an array of empty 512-byte blocks
+        const disk = Array.from({ length: Math.floor(sizeInBytes / BLOCK_SIZE) }, () => Buffer.alloc(BLOCK_SIZE));
+        const fileSystem = new FileSystem(disk, null, options);
+
+        // Lay out the superblock, free-block bitmap and Inode table, and create the root directory
+        const rootInode = formatDisk(fileSystem.disk, fileSystem.now(), options.journalMode);
+        fileSystem.rootDirectory = new Directory('/', rootInode);
+
+        // The admin user takes ID 0, with the default password if none is given
+        fileSystem.createUser('admin', adminPassword.trim() === '' ? DEFAULT_ADMIN_PASSWORD : adminPassword, ADMIN_GROUP_ID);
+
+        // Create the admin group and the default group of new users
+        fileSystem.createGroup('admin');
+        fileSystem.createGroup('users');
+
+        // Write the new layout through the cache
+        fileSystem.saveUsers();
+        fileSystem.disk.sync();
+
+        return fileSystem;
+    }
+
+    // Static function to mount a disk from the contents of an image, checking that it can be used
+    // A transaction committed to the journal but not checkpointed is replayed, and an incomplete one is discarded
+    static load(image, options = {}) {
+        if (image.length < MIN_DISK_SIZE || image.length > MAX_DISK_SIZE || image.length % BLOCK_SIZE !== 0) {
+            throw new FileSystemError('EINVAL', `size must be a multiple of ${BLOCK_SIZE} between ${MIN_DISK_SIZE} and ${MAX_DISK_SIZE} bytes`);
+        }
+
+        // Split the image back into blocks
+        const disk = Array.from({ length: image.length / BLOCK_SIZE }, (_, i) => Buffer.from(image.subarray(i * BLOCK_SIZE, (i + 1) * BLOCK_SIZE)));
+
+        const fileSystem = new FileSystem(disk, null, options);
+        const problem = validateSuperblock(readSuperblock(fileSystem.disk), image.length);
+        if (problem) {
+            throw new FileSystemError('EINVAL', problem);
+        }
+
+        // Any failure while rebuilding the tree or the user table means the contents are damaged
+        try {
+            fileSystem.journal.recovery = replayJournal(fileSystem.disk);
+            fileSystem.journal.sequence = readJournalSequence(fileSystem.disk) + 1;
+            fileSystem.rootDirectory = loadDirectoryTree(fileSystem.disk);
+            fileSystem.loadUsers();
+        } catch (error) {
+            throw new FileSystemError('EIO', error.message);
+        }
+
+        if (!fileSystem.rootDirectory.inode || fileSystem.rootDirectory.inode.fileType !== 'directory' || !fileSystem.users[0]) {
+            throw new FileSystemError('EIO', 'missing root directory or admin user');
+        }
+
+        return fileSystem;
+    }
+
+    // Static function to mount a disk saved in an image file
+    static mount(imagePath, options = {}) {
+        let image;
+        try {
+            image = fs.readFileSync(imagePath);
+        } catch (error) {
+            throw new FileSystemError(error.code || 'EIO', `Could not read the disk image "${imagePath}": ${error.message}`);
+        }
+
+        try {
+            return FileSystem.load(image, options);
+        } catch (error) {
+            throw new FileSystemError(error.code, `Incompatible or corrupted disk image "${imagePath}": ${error.message}.`);
+        }
+    }
+
+    // Function to save the disk, including the user table and the dirty blocks of the cache, to an image file
+    // After a simulated power loss, only the blocks that reached the disk are saved
+    save(imagePath) {
+        if (!this.journal.crashed) {
+            this.sync();
+        }
+
+        try {
+            fs.writeFileSync(imagePath, Buffer.concat(this.disk.blocks));
+        } catch (error) {
+            throw new FileSystemError(error.code || 'EIO', `Could not write the disk image "${imagePath}": ${error.message}`);
+        }
+    }
+
+    // Function to run an operation as one transaction, returning its result; the shell runs each command as one
+    // When the disk has a journal, the blocks changed by the operation, with the user table, are logged to the journal
+    // and committed before they are written to their home locations, so that a power loss leaves either all of the
+    // changes or none; transactions started by the operation are part of it
+    transaction(operation) {
+        const { journalMode } = readSuperblock(this.disk);
+
+        if (this.journal.depth > 0 || (journalMode === JOURNAL_MODES.none && this.journal.crashPoint === null)) {
+            this.journal.depth++;
+            try {
+                return operation();
+            } finally {
+                this.journal.depth--;
+            }
+        }
+
+        // Record the blocks the operation writes, with their content before it, to find the ones it changes
+        this.disk.track();
+
+        this.journal.depth++;
+        try {
+            return operation();
+        } finally {
+            this.journal.depth--;
+            this.saveUsers();
+            this.commitTransaction();
+        }
+    }
+
+    // Function to write the blocks changed by the running transaction to the journal and their home locations,
+    // simulating a power loss at the crash point when one is set
+    // The dirty blocks of the cache are written first, so a transaction reaches the disk when it commits
+    commitTransaction() {
+        this.disk.sync();
+        const originals = this.disk.untrack();
+        const superblock = readSuperblock(this.disk);
+        const changed = findChangedBlocks(this.disk, originals);
+
+        if (changed.length === 0) {
+            return;
+        }
+
+        const sequence = this.journal.sequence++;
+        const writes = planTransactionWrites(this.disk, superblock, changed, sequence);
+        const crashPoint = this.journal.crashPoint;
+        this.journal.crashPoint = null;
+
+        if (crashPoint === null) {
+            writes.forEach(({ address, content }) => { this.disk.blocks[address] = content; });
+            return;
+        }
+
+        // After the power loss, the disk holds its blocks from before the transaction and the writes that were done,
+        // and the content of the cache is lost
+        const completed = writes.slice(0, findCrashIndex(writes, crashPoint));
+        changed.forEach((address) => { this.disk.blocks[address] = originals.get(address); });
+        completed.forEach(({ address, content }) => { this.disk.blocks[address] = content; });
+        this.disk.invalidate();
+        this.journal.crashed = true;
+
+        throw new FileSystemError('EIO', `Simulated power loss at the "${crashPoint}" step of transaction ${sequence}: ${completed.length} of ${writes.length} block writes reached the disk. The disk must be mounted again.`);
+    }
+
+    // Function to simulate a power loss at a step of writing the next transaction that changes the disk, or to cancel
+    // it with null (admin only)
+    setCrashPoint(point) {
+        this.requireAdmin('Only the admin user can simulate a power loss.');
+
+        if (point !== null && !CRASH_POINTS.includes(point)) {
+            throw new FileSystemError('EINVAL', `Invalid crash point "${point}". Use one of: ${CRASH_POINTS.join(', ')}.`);
+        } else if (point !== null && point !== 'checkpoint' && readSuperblock(this.disk).journalMode === JOURNAL_MODES.none) {
+            throw new FileSystemError('EINVAL', 'The disk has no journal, so power loss can only be simulated at the "checkpoint" step.');
+        }
+
+        this.journal.crashPoint = point;
+    }
+
+    // Function to switch a disk with a journal between ordered and data journaling (admin only)
+    setJournalMode(mode) {
+        this.requireAdmin('Only the admin user can change the journal mode.');
+
+        const superblock = readSuperblock(this.disk);
+        if (mode !== 'ordered' && mode !== 'data') {
+            throw new FileSystemError('EINVAL', `Invalid journal mode "${mode}". Use "ordered" or "data".`);
+        } else if (superblock.journalMode === JOURNAL_MODES.none) {
+            throw new FileSystemError('EINVAL', 'The disk has no journal. Format it with a journal mode to add one.');
+        }
+
+        this.transaction(() => {
+            superblock.journalMode = JOURNAL_MODES[mode];
+            writeSuperblock(this.disk, superblock);
+        });
+    }
+
+    // Function to write the user table and the dirty blocks of the cache to the disk, returning the number of blocks
+    // written (a disk with a journal writes the blocks of each transaction when it commits)
+    sync() {
+        this.transaction(() => this.saveUsers());
+        return this.disk.sync();
+    }
+
+    // Function to change the replacement policy, write mode or capacity in blocks of the cache (admin only)
+    setCacheOptions({ policy, writeMode, capacity }) {
+        this.requireAdmin('Only the admin user can configure the block cache.');
+
+        if (policy !== undefined && !CACHE_POLICIES.includes(policy)) {
+            throw new FileSystemError('EINVAL', `Invalid cache policy "${policy}". Use one of: ${CACHE_POLICIES.join(', ')}.`);
+        } else if (writeMode !== undefined && !CACHE_WRITE_MODES.includes(writeMode)) {
+            throw new FileSystemError('EINVAL', `Invalid cache write mode "${writeMode}". Use one of: ${CACHE_WRITE_MODES.join(', ')}.`);
+        } else if (capacity !== undefined && !(Number.isInteger(capacity) && capacity >= 1 && capacity <= MAX_CACHE_BLOCKS)) {
+            throw new FileSystemError('EINVAL', `The cache size must be a whole number of blocks between 1 and ${MAX_CACHE_BLOCKS}.`);
+        }
+
+        this.disk.configure({ policy, writeMode, capacity });
+    }
+
+    // Function to get the settings and usage of the cache, with the I/O counters of each replacement policy used
+    cacheInfo() {
+        const { policy, writeMode, capacity, entries, stats } = this.disk;
+        return {
+            policy,
+            writeMode,
+            capacity,
+            cachedBlocks: entries.size,
+            dirtyBlocks: [...entries.values()].filter((entry) => entry.dirty).length,
+            stats: CACHE_POLICIES.filter((name) => stats[name]).map((name) => ({ policy: name, ...stats[name] })),
+        };
+    }
+
+    // Function to read the time of the clock used for timestamps
+    now() {
+        return this.clock();
+    }
+
+    // Function to store the user table in the data blocks of its reserved Inode, when it changed
+    saveUsers() {
+        const usersInode = readInode(this.disk, readSuperblock(this.disk).usersInode);
+        const userTable = {
+            nextUserId: this.nextUserId, users: Object.values(this.users), nextGroupId: this.nextGroupId, groups: Object.values(this.groups),
+            quotaGracePeriod: this.quotaGracePeriod,
+        };
+        const data = JSON.stringify(userTable);
+
+        if (readFileData(this.disk, usersInode) !== data) {
+            writeFileData(this.disk, usersInode, data);
+        }
+    }
+
+    // Function to load the user table from the data blocks of its reserved Inode
+    loadUsers() {
+        const usersInode = readInode(this.disk, readSuperblock(this.disk).usersInode);
+        const userTable = JSON.parse(readFileData(this.disk, usersInode));
+
+        this.users = {};
+        this.groups = {};
+
+        for (const { id, username, groupId, salt, passwordHash, failedLogins, lockedUntil, quota, password } of userTable.users) {
+            const user = new User(id, username, groupId);
+            Object.assign(user, { salt, passwordHash, failedLogins: failedLogins || 0, lockedUntil: lockedUntil || 0, quota: quota || user.quota });
+
+            // Images written before passwords were hashed store them in plain text
+            if (password !== undefined) {
+                user.setPassword(password);
+            }
+
+            this.users[id] = user;
+        }
+
+        for (const { id, name, members } of userTable.groups) {
+            const group = new Group(id, name);
+            group.members = members;
+            this.groups[id] = group;
+        }
+
+        // IDs are never reused, so that files left by a removed user cannot be taken over by a new one
+        this.nextUserId = Math.max(userTable.nextUserId, ...Object.keys(this.users).map((id) => Number(id) + 1));
+        this.nextGroupId = userTable.nextGroupId;
+        this.quotaGracePeriod = userTable.quotaGracePeriod || DEFAULT_QUOTA_GRACE_PERIOD;
+    }
+
+    // Function to add a user with the next free ID to the user table
+    createUser(username, password, groupId = USERS_GROUP_ID) {
+        const user = new User(this.nextUserId++, username, groupId);
+        user.setPassword(password);
+        this.users[user.id] = user;
+        return user;
+    }
+
+    // Function to add a group with the next free ID to the group table
+    createGroup(name) {
+        const group = new Group(this.nextGroupId++, name);
+        this.groups[group.id] = group;
+        return group;
+    }
+
+    // Function to check that the active user is the admin user
+    requireAdmin(message) {
+        if (this.activeUserId !== 0) {
+            throw new FileSystemError('EPERM', message);
+        }
+    }
+
+    // Function to check that a user is logged in, returning the ID of the active user
+    requireLogin() {
+        if (this.activeUserId === null) {
+            throw new FileSystemError('EPERM', 'No user is logged in.');
+        }
+        return this.activeUserId;
+    }
+
+    // Function to get the ID and name of the active user
+    whoami() {
+        const { id, username } = this.users[this.requireLogin()];
+        return { id, username };
+    }
+
+    // Function to get the current directory of the session
+    pwd() {
+        return this.currentPath;
+    }
+
+    // Function to check the password of a user; MAX_FAILED_LOGINS failures in a row lock the account for
+    // LOCKOUT_DURATION, and a correct password resets the count
+    authenticate(user, password, failureMessage = 'Incorrect password.') {
+        const now = this.now().getTime();
+
+        if (user.lockedUntil > now) {
+            throw new FileSystemError('EACCES', `Account "${user.username}" is locked after too many failed attempts. Try again in ${Math.ceil((user.lockedUntil - now) / 1000)} seconds.`);
+        }
+
+        if (!user.checkPassword(password)) {
+            user.failedLogins++;
+
+            if (user.failedLogins >= MAX_FAILED_LOGINS) {
+                user.failedLogins = 0;
+                user.lockedUntil = now + LOCKOUT_DURATION;
+                throw new FileSystemError('EACCES', `${failureMessage} Account "${user.username}" is locked for ${LOCKOUT_DURATION / 60000} minutes.`);
+            }
+            throw new FileSystemError('EACCES', failureMessage);
+        }
+
+        user.failedLogins = 0;
+        user.lockedUntil = 0;
+    }
+
+    // Function to start a session as a user after checking the username and password
+    login(username, password) {
+        const user = Object.values(this.users).find((candidate) => candidate.username === username);
+
+        // Unknown usernames fail like wrong passwords, so that they cannot be told apart
+        if (!user) {
+            throw new FileSystemError('EACCES', 'Incorrect username or password.');
+        }
+
+        this.authenticate(user, password, 'Incorrect username or password.');
+        this.activeUserId = user.id;
+        this.currentPath = '/';
+        return this.whoami();
+    }
+
+    // Function to end the session of the active user, closing every open file
+    logout() {
+        this.requireLogin();
+        this.activeUserId = null;
+        this.currentPath = '/';
+        this.openFiles = {};
+    }
+
+    // Function to check that the active user may switch to a user, before any password is asked for: only members
+    // of the admin group may switch to the admin user, so that other users cannot lock the admin account
+    checkSu(userId) {
+        const activeUserId = this.requireLogin();
+
+        if (!this.users[userId]) {
+            throw new FileSystemError('ENOENT', `User with ID ${userId} not found.`);
+        } else if (userId === 0 && !this.isGroupMember(activeUserId, ADMIN_GROUP_ID)) {
+            throw new FileSystemError('EPERM', `User "${this.users[activeUserId].username}" is not allowed to switch to the admin user. Only members of the admin group can.`);
+        }
+    }
+
+    // Function to switch the active user within the session after checking the password of the new user,
+    // which the admin user does not need
+    su(userId, password) {
+        this.checkSu(userId);
+
+        if (this.activeUserId !== 0) {
+            this.authenticate(this.users[userId], password);
+        }
+
+        this.activeUserId = userId;
+        return this.whoami();
+    }
+
+    // Function to check that the active user may use sudo, before their password is asked for; returns the ID of
+    // the active user
+    checkSudo() {
+        const userId = this.requireLogin();
+
+        if (!this.isGroupMember(userId, ADMIN_GROUP_ID)) {
+            throw new FileSystemError('EPERM', `User "${this.users[userId].username}" is not allowed to use sudo. Only members of the admin group can.`);
+        }
+        return userId;
+    }
+
+    // Function to run an operation with the rights of the admin user, for members of the admin group who confirm
+    // their own password, so that failures only count against their own account; returns the result of the operation
+    sudo(password, operation) {
+        const userId = this.checkSudo();
+
+        if (userId !== 0) {
+            this.authenticate(this.users[userId], password);
+        }
+
+        this.activeUserId = 0;
+        try {
+            return operation();
+        } finally {
+            this.activeUserId = userId;
+        }
+    }
+
+    // Function to change the password of the active user, who confirms the current one
+    changePassword(currentPassword, newPassword) {
+        const user = this.users[this.requireLogin()];
+
+        this.authenticate(user, currentPassword);
+        validatePassword(newPassword);
+        user.setPassword(newPassword);
+    }
+
+    // Function to set a new password for any user and unlock their account (admin only)
+    resetPassword(userId, newPassword) {
+        this.requireAdmin('Only the admin user can reset the password of a user.');
+
+        const user = this.users[userId];
+        if (!user) {
+            throw new FileSystemError('ENOENT', `User with ID ${userId} not found.`);
+        }
+
+        validatePassword(newPassword);
+        user.setPassword(newPassword);
+        user.failedLogins = 0;
+        user.lockedUntil = 0;
+    }
+
+    // Function to add a new user to the system with a home directory in /home (admin only)
+    addUser(username, password) {
+        this.requireAdmin('Only the admin user can add new users.');
+        validateUsername(username);
+
+        if (this.findUser(username)) {
+            throw new FileSystemError('EEXIST', `User "${username}" already exists.`);
+        }
+        validatePassword(password);
+
+        // Create /home if needed, owned by the admin user, then the home directory owned by the new user
+        let homeParent = this.resolve(HOME_PATH);
+        if (!homeParent) {
+            homeParent = this.createDirectoryEntry(this.rootDirectory, HOME_PATH.slice(1), 0, ADMIN_GROUP_ID);
+        } else if (!(homeParent instanceof Directory)) {
+            throw new FileSystemError('ENOTDIR', `"${HOME_PATH}" is not a directory.`);
+        }
+
+        const home = `${HOME_PATH}/${username}`;
+        if (homeParent.hasEntry(username)) {
+            throw new FileSystemError('EEXIST', `"${home}" already exists.`);
+        }
+
+        this.createDirectoryEntry(homeParent, username, this.nextUserId, USERS_GROUP_ID);
+        const { id } = this.createUser(username, password);
+        return { id, username, home };
+    }
+
+    // Function to remove a user from the system and from every group (admin only)
+    // The files and directories of the user are deleted with the removeFiles option, or given to the user with ID
+    // newOwnerId; without either option, only an empty home directory is deleted, and a user who still owns other
+    // entries cannot be removed
+    removeUser(userId, options = {}) {
+        this.requireAdmin('Only the admin user can remove users.');
+
+        const user = this.users[userId];
+        if (userId === 0) {
+            throw new FileSystemError('EPERM', 'Cannot remove the admin user.');
+        } else if (userId === this.activeUserId) {
+            throw new FileSystemError('EBUSY', 'You cannot remove the currently active user.');
+        } else if (!user) {
+            throw new FileSystemError('ENOENT', `User with ID ${userId} not found.`);
+        } else if (options.removeFiles && options.newOwnerId !== undefined) {
+            throw new FileSystemError('EINVAL', 'Files of a removed user are either deleted or given to another user, not both.');
+        } else if (options.newOwnerId !== undefined && (!this.users[options.newOwnerId] || options.newOwnerId === userId)) {
+            throw new FileSystemError('ENOENT', `User with ID ${options.newOwnerId} not found or is the user being removed.`);
+        }
+
+        // The root directory is never deleted: when the user owns it, it goes back to the admin user
+        const owned = findOwnedEntries(this.rootDirectory, userId);
+        if (this.rootDirectory.inode.ownerId === userId) {
+            owned.push({ parent: null, entry: this.rootDirectory, path: '/' });
+        }
+
+        if (options.removeFiles) {
+            // Entries inside a deleted directory are removed with it; every entry is checked first, so that either
+            // all of them are deleted or none
+            const directories = owned.filter(({ parent, entry }) => parent && entry instanceof Directory).map(({ entry }) => entry);
+            const removed = owned.filter(({ parent }) => parent && !directories.some((directory) => directory === parent || directory.contains(parent)));
+
+            for (const { entry, path } of removed) {
+                if (entry instanceof Directory && this.isInCurrentPath(entry)) {
+                    throw new FileSystemError('EBUSY', `Cannot remove "${path}": it is the current directory or one of its parents.`);
+                } else if (this.isOpen(entry)) {
+                    throw new FileSystemError('EBUSY', `Cannot remove "${path}": it is open or contains open files.`);
+                }
+            }
+
+            for (const { parent, entry } of removed) {
+                unlinkEntry(this.disk, parent, entry.name, this.now());
+                releaseEntry(this.disk, entry);
+            }
+
+            if (this.rootDirectory.inode.ownerId === userId) {
+                this.rootDirectory.inode.changeOwner(0);
+                writeInode(this.disk, this.rootDirectory.inode);
+            }
+        } else if (options.newOwnerId !== undefined) {
+            // Hard links share their Inode, which only needs to be updated once
+            for (const inode of new Set(owned.map(({ entry }) => entry.inode))) {
+                inode.changeOwner(options.newOwnerId);
+                writeInode(this.disk, inode);
+            }
+        } else {
+            // The empty home directory of the user is deleted with them; other entries must be deleted or given away
+            const home = owned.find(({ entry, path }) => path === `${HOME_PATH}/${user.username}` && entry instanceof Directory
+                && Object.keys(entry.subdirectories).length === 0 && Object.keys(entry.files).length === 0);
+            const remaining = owned.filter((item) => item !== home);
+
+            if (remaining.length > 0) {
+                throw new FileSystemError('ENOTEMPTY', `User "${user.username}" still owns ${remaining.length} file(s) or directory(ies).`);
+            } else if (home && this.isInCurrentPath(home.entry)) {
+                throw new FileSystemError('EBUSY', `Cannot remove "${home.path}": it is the current directory or one of its parents.`);
+            } else if (home) {
+                unlinkEntry(this.disk, home.parent, home.entry.name, this.now());
+                releaseEntry(this.disk, home.entry);
+            }
+        }
+
+        delete this.users[userId];
+        for (const groupId in this.groups) {
+            this.groups[groupId].members = this.groups[groupId].members.filter((memberId) => memberId !== userId);
+        }
+
+        return { username: user.username, entries: owned.length };
+    }
+
+    // Function to list users with their ID, name and the names of their groups
+    listUsers() {
+        return Object.values(this.users).map((user) => ({
+            id: user.id,
+            username: user.username,
+            groups: Object.values(this.groups).filter((group) => this.isGroupMember(user.id, group.id)).map((group) => group.name),
+        }));
+    }
+
+    // Function to find a user by ID (a number) or by username (a string)
+    findUser(user) {
+        return typeof user === 'number' ? this.users[user] || null : Object.values(this.users).find(({ username }) => username === user) || null;
+    }
+
+    // Function to check if a user belongs to a group, as primary group or supplementary member
+    isGroupMember(userId, groupId) {
+        const user = this.users[userId];
+        const group = this.groups[groupId];
+        return Boolean(user && group && (user.groupId === groupId || group.members.includes(userId)));
+    }
+
+    // Function to list groups with both name and ID
+    listGroups() {
+        return Object.values(this.groups).map((group) => ({ id: group.id, name: group.name }));
+    }
+
+    // Function to find a group by its name
+    findGroup(name) {
+        return Object.values(this.groups).find((group) => group.name === name) || null;
+    }
+
+    // Function to create a new group (admin only)
+    addGroup(name) {
+        this.requireAdmin('Only the admin user can add new groups.');
+
+        if (name.trim() === '') {
+            throw new FileSystemError('EINVAL', 'Group name cannot be empty.');
+        } else if (this.findGroup(name)) {
+            throw new FileSystemError('EEXIST', `Group "${name}" already exists.`);
+        }
+
+        const { id } = this.createGroup(name);
+        return { id, name };
+    }
+
+    // Function to add a user to a supplementary group (admin only)
+    addUserToGroup(groupName, userId) {
+        this.requireAdmin('Only the admin user can change group membership.');
+
+        const group = this.findGroup(groupName);
+        if (!group) {
+            throw new FileSystemError('ENOENT', `Group "${groupName}" not found.`);
+        } else if (!this.users[userId]) {
+            throw new FileSystemError('ENOENT', `User with ID ${userId} not found.`);
+        } else if (this.isGroupMember(userId, group.id)) {
+            throw new FileSystemError('EEXIST', `User "${this.users[userId].username}" is already a member of group "${group.name}".`);
+        }
+
+        group.members.push(userId);
+    }
+
+    // Function to check that a user can be given more blocks and Inodes without going over their quota, starting the
+    // grace period of a soft limit when it is first exceeded
+    // Usage is computed from the owners of the Inodes; the admin user has no quota
+    checkQuota(userId, blocks, inodes) {
+        const user = this.users[userId];
+        const limits = user ? user.quota : null;
+
+        if (!user || userId === 0 || (blocks <= 0 && inodes <= 0)) {
+            return;
+        } else if (!limits.blocks.soft && !limits.blocks.hard && !limits.inodes.soft && !limits.inodes.hard) {
+            return;
+        }
+
+        const usage = countUsage(this.disk)[userId] || { blocks: 0, inodes: 0 };
+        const now = this.now().getTime();
+        const graceStarts = [];
+
+        for (const [resource, label, amount] of [['blocks', 'blocks', blocks], ['inodes', 'Inodes', inodes]]) {
+            const limit = limits[resource];
+            const total = usage[resource] + amount;
+
+            // The grace period ends when usage is back within the soft limit
+            if (!limit.soft || usage[resource] <= limit.soft) {
+                limit.graceEnd = 0;
+            }
+
+            if (amount <= 0) {
+                continue;
+            } else if (limit.hard && total > limit.hard) {
+                throw new FileSystemError('EDQUOT', `Disk quota exceeded: user "${user.username}" would use ${total} ${label}, over the hard limit of ${limit.hard}.`);
+            } else if (limit.soft && total > limit.soft) {
+                if (limit.graceEnd && now >= limit.graceEnd) {
+                    throw new FileSystemError('EDQUOT', `Disk quota exceeded: user "${user.username}" has been over the soft limit of ${limit.soft} ${label} for longer than the grace period.`);
+                } else if (!limit.graceEnd) {
+                    graceStarts.push(limit);
+                }
+            }
+        }
+
+        graceStarts.forEach((limit) => { limit.graceEnd = now + this.quotaGracePeriod; });
+    }
+
+    // Function to set the soft and hard block and Inode limits of a user, 0 meaning no limit (admin only)
+    setQuota(userId, { softBlocks, hardBlocks, softInodes, hardInodes }) {
+        this.requireAdmin('Only the admin user can set quotas.');
+
+        const user = this.users[userId];
+        if (!user) {
+            throw new FileSystemError('ENOENT', `User with ID ${userId} not found.`);
+        } else if (userId === 0) {
+            throw new FileSystemError('EINVAL', 'The admin user has no quota.');
+        } else if (![softBlocks, hardBlocks, softInodes, hardInodes].every((limit) => Number.isInteger(limit) && limit >= 0)) {
+            throw new FileSystemError('EINVAL', 'Quota limits must be whole numbers, 0 meaning no limit.');
+        } else if ((hardBlocks && softBlocks > hardBlocks) || (hardInodes && softInodes > hardInodes)) {
+            throw new FileSystemError('EINVAL', 'A soft limit cannot be above its hard limit.');
+        }
+
+        user.quota = {
+            blocks: { soft: softBlocks, hard: hardBlocks, graceEnd: 0 },
+            inodes: { soft: softInodes, hard: hardInodes, graceEnd: 0 },
+        };
+    }
+
+    // Function to set the time in milliseconds a user may stay over a soft limit (admin only)
+    setQuotaGracePeriod(duration) {
+        this.requireAdmin('Only the admin user can set quotas.');
+
+        if (!(Number.isInteger(duration) && duration > 0)) {
+            throw new FileSystemError('EINVAL', 'The grace period must be a positive whole number.');
+        }
+        this.quotaGracePeriod = duration;
+    }
+
+    // Function to get the usage and quota limits of users, computed from the owners of the Inodes
+    // Users can see their own quota; the admin user can see the quota of every user
+    getQuotas(userIds = [this.requireLogin()]) {
+        if (this.activeUserId !== 0 && userIds.some((userId) => userId !== this.activeUserId)) {
+            throw new FileSystemError('EPERM', 'Only the admin user can see the quota of other users.');
+        }
+
+        const usage = countUsage(this.disk);
+        const now = this.now().getTime();
+
+        return userIds.map((userId) => {
+            const user = this.users[userId];
+            if (!user) {
+                throw new FileSystemError('ENOENT', `User with ID ${userId} not found.`);
+            }
+
+            const used = usage[userId] || { blocks: 0, inodes: 0 };
+            const [blocks, inodes] = ['blocks', 'inodes'].map((resource) => {
+                const { soft, hard, graceEnd } = user.quota[resource];
+                const overSoftLimit = soft > 0 && used[resource] > soft;
+                return { used: used[resource], soft, hard, graceEnd: overSoftLimit && graceEnd ? new Date(graceEnd) : null, expired: overSoftLimit && graceEnd > 0 && now >= graceEnd };
+            });
+
+            return { id: user.id, username: user.username, blocks, inodes };
+        });
+    }
+
+    // Function to get the credentials used in permission checks: the active user and every group they belong to
+    credentials() {
+        this.requireLogin();
+        const groupIds = Object.values(this.groups).filter((group) => this.isGroupMember(this.activeUserId, group.id)).map((group) => group.id);
+        return { userId: this.activeUserId, groupIds };
+    }
+
+    // Function to check if the active user has every requested permission ('r', 'w' and/or 'x') on an entry
+    canAccess(entry, access) {
+        return entry.inode.hasPermission(this.credentials(), access);
+    }
+
+    // Function to split a path into normalized components, relative to the current directory
+    normalizePath(path) {
+        return normalizePath(path, this.currentPath);
+    }
+
+    // Function to walk a path from the root directory, following the symbolic links met on the way, and the one at
+    // the end of the path unless follow is false; returns the entry reached and the components of its path without
+    // symbolic links. With checkAccess, search permission is required on every directory traversed
+    // ".." is resolved on the path as written, before any symbolic link is followed
+    walk(path, options = {}) {
+        const { follow = true, checkAccess = true } = options;
+        let components = this.normalizePath(path);
+        let current = this.rootDirectory;
+        let linksFollowed = 0;
+
+        for (let i = 0; i < components.length;) {
+            // Only directories can be traversed
+            if (!(current instanceof Directory)) {
+                throw new FileSystemError('ENOTDIR', `"${path}" not found: "${current.name}" is not a directory.`);
+            }
+
+            if (checkAccess && !this.canAccess(current, 'x')) {
+                throw new FileSystemError('EACCES', `Permission denied: cannot search directory "${current.name}".`);
+            }
+
+            const next = current.subdirectories[components[i]] || current.files[components[i]];
+            if (!next) {
+                throw new FileSystemError('ENOENT', `"${path}" not found.`);
+            }
+
+            if (!(next instanceof SymbolicLink) || (i === components.length - 1 && !follow)) {
+                current = next;
+                i++;
+                continue;
+            }
+
+            if (++linksFollowed > MAX_SYMLINK_DEPTH) {
+                throw new FileSystemError('ELOOP', `Too many levels of symbolic links in "${path}".`);
+            }
+
+            // Continue from the root directory with the target of the link (relative to the directory holding it)
+            // followed by the rest of the path
+            const target = readFileData(this.disk, next.inode);
+            components = [...normalizePath(target, formatPath(components.slice(0, i))), ...components.slice(i + 1)];
+            current = this.rootDirectory;
+            i = 0;
+        }
+
+        return { entry: current, components };
+    }
+
+    // Function to resolve a path to the directory or file it points to, without permission checks (null if missing)
+    resolve(path, options = {}) {
+        try {
+            return this.walk(path, { ...options, checkAccess: false }).entry;
+        } catch (error) {
+            if (!(error instanceof FileSystemError)) {
+                throw error;
+            }
+            return null;
+        }
+    }
+
+    // Function to resolve a path for the active user, checking search permission on every directory traversed
+    // and the requested access ('r', 'w' and/or 'x') on the target; symbolic links are followed unless follow is false
+    lookup(path, access = '', options = {}) {
+        const current = this.walk(path, options).entry;
+
+        if (!this.canAccess(current, access)) {
+            throw new FileSystemError('EACCES', `Permission denied for "${path}".`);
+        }
+
+        return current;
+    }
+
+    // Function to find where a file is created for a path that does not resolve, as open does with O_CREAT: at the path
+    // itself, or for a dangling symbolic link at the path of its target (relative to the directory holding the link),
+    // following a chain of dangling links
+    creationPath(path) {
+        let current = path;
+
+        for (let linksFollowed = 0; ; linksFollowed++) {
+            const link = this.resolve(current, { follow: false });
+            if (!(link instanceof SymbolicLink)) {
+                return current;
+            } else if (linksFollowed === MAX_SYMLINK_DEPTH) {
+                throw new FileSystemError('ELOOP', `Too many levels of symbolic links in "${path}".`);
+            }
+
+            const { components } = this.walk(current, { follow: false, checkAccess: false });
+            current = formatPath(normalizePath(readFileData(this.disk, link.inode), formatPath(components.slice(0, -1))));
+        }
+    }
+
+    // Function to resolve the parent directory of a path for the active user, who needs write and search
+    // permission on it to add or remove entries; returns the parent directory and the name of the entry
+    lookupParent(path) {
+        const components = this.normalizePath(path);
+        const name = components.pop();
+
+        if (path.trim() === '' || !name) {
+            throw new FileSystemError('EINVAL', `Invalid path "${path}".`);
+        }
+
+        const parent = this.lookup(formatPath(components));
+        if (!(parent instanceof Directory)) {
+            throw new FileSystemError('ENOTDIR', `"${formatPath(components)}" is not a directory.`);
+        }
+
+        if (!this.canAccess(parent, 'wx')) {
+            throw new FileSystemError('EACCES', `Permission denied: cannot modify directory "${formatPath(components)}".`);
+        }
+
+        return { parent, name };
+    }
+
+    // Function to allocate the Inode of a new entry of a directory for the active user
+    // Entries created in a setgid directory take the group of the directory, and new subdirectories keep the setgid bit
+    allocateEntryInode(parent, fileType) {
+        const inheritGroup = parent.inode.specialBits.setgid;
+        const groupId = inheritGroup ? parent.inode.groupId : this.users[this.activeUserId].groupId;
+        const inode = allocateInode(this.disk, this.activeUserId, groupId, fileType, this.now());
+
+        if (inheritGroup && fileType === 'directory') {
+            inode.specialBits.setgid = true;
+            writeInode(this.disk, inode);
+        }
+
+        return inode;
+    }
+
+    // Function to add an entry to a directory, charging the block the directory may grow by to the quota of its owner
+    addEntry(parent, entry) {
+        const size = parent.inode.size;
+        this.checkQuota(parent.inode.ownerId, countFileBlocks(size + DIRECTORY_ENTRY_SIZE) - countFileBlocks(size), 0);
+        linkEntry(this.disk, parent, entry, this.now());
+    }
+
+    // Function to create a directory entry owned by the given user and group, on behalf of the system
+    createDirectoryEntry(parent, name, ownerId, groupId) {
+        validateName(name);
+        const directory = new Directory(name, allocateInode(this.disk, ownerId, groupId, 'directory', this.now()));
+
+        try {
+            this.addEntry(parent, directory);
+        } catch (error) {
+            releaseInode(this.disk, directory.inode);
+            throw error;
+        }
+
+        return directory;
+    }
+
+    // Function to check if the active user can delete an entry from a directory
+    // In a sticky directory only the owner of the entry, the owner of the directory or the admin user can delete it
+    canDeleteEntry(parent, entry) {
+        return !parent.inode.specialBits.sticky || this.activeUserId === 0
+            || entry.inode.ownerId === this.activeUserId || parent.inode.ownerId === this.activeUserId;
+    }
+
+    // Function to check if the active user can remove every entry of a directory tree (read, write and search on each directory)
+    canRemoveTree(directory) {
+        return this.canAccess(directory, 'rwx')
+            && Object.values(directory.subdirectories).every((subdirectory) => this.canRemoveTree(subdirectory));
+    }
+
+    // Function to check if a directory is the current directory or one of its parents
+    isInCurrentPath(directory) {
+        let current = this.rootDirectory;
+
+        for (const component of [...this.normalizePath(this.currentPath), null]) {
+            if (current === directory) {
+                return true;
+            }
+            current = component !== null ? current.subdirectories[component] : null;
+        }
+
+        return false;
+    }
+
+    // Function to change the current directory; entering a directory requires search permission
+    // The current path is kept without symbolic links
+    chdir(path) {
+        const { entry, components } = this.walk(path);
+
+        if (!(entry instanceof Directory)) {
+            throw new FileSystemError('ENOTDIR', `"${path}" is not a directory.`);
+        } else if (!this.canAccess(entry, 'x')) {
+            throw new FileSystemError('EACCES', `Permission denied for "${path}".`);
+        }
+
+        this.currentPath = formatPath(components);
+    }
+
+    // Function to create a directory, and its missing parents when requested (existing directories are then accepted);
+    // returns the absolute paths of the directories created
+    mkdir(path, options = {}) {
+        const components = this.normalizePath(path);
+        const paths = options.parents ? components.map((_, index) => formatPath(components.slice(0, index + 1))) : [path];
+        const created = [];
+
+        for (const directoryPath of paths) {
+            const existing = options.parents ? this.resolve(directoryPath) : null;
+
+            if (existing instanceof Directory) {
+                continue;
+            } else if (existing) {
+                throw new FileSystemError('EEXIST', `"${directoryPath}" already exists and is not a directory.`);
+            }
+
+            const { parent, name } = this.lookupParent(directoryPath);
+
+            if (parent.hasEntry(name)) {
+                throw new FileSystemError('EEXIST', `"${directoryPath}" already exists.`);
+            }
+            validateName(name);
+            this.checkQuota(this.activeUserId, 0, 1);
+
+            const inode = this.allocateEntryInode(parent, 'directory');
+            try {
+                this.addEntry(parent, new Directory(name, inode));
+            } catch (error) {
+                releaseInode(this.disk, inode);
+                throw error;
+            }
+
+            created.push(formatPath(this.normalizePath(directoryPath)));
+        }
+
+        return created;
+    }
+
+    // Function to remove a directory, with its contents when recursive
+    rmdir(path, options = {}) {
+        if (this.normalizePath(path).length === 0) {
+            throw new FileSystemError('EBUSY', 'Cannot remove the root directory.');
+        }
+
+        // Removing an entry requires write and search permission on the parent directory
+        const { parent, name } = this.lookupParent(path);
+        const directory = parent.subdirectories[name];
+
+        if (!directory) {
+            throw new FileSystemError(parent.files[name] ? 'ENOTDIR' : 'ENOENT', `Directory "${path}" not found or is not a directory.`);
+        } else if (this.isInCurrentPath(directory)) {
+            throw new FileSystemError('EBUSY', 'Cannot remove the current directory or one of its parents.');
+        } else if (!options.recursive && (Object.keys(directory.files).length > 0 || Object.keys(directory.subdirectories).length > 0)) {
+            throw new FileSystemError('ENOTEMPTY', `Directory "${path}" is not empty.`);
+        } else if (!this.canDeleteEntry(parent, directory)) {
+            throw new FileSystemError('EPERM', `Permission denied: "${path}" is in a sticky directory and is not yours.`);
+        } else if (options.recursive && !this.canRemoveTree(directory)) {
+            throw new FileSystemError('EACCES', `Permission denied: cannot remove the contents of "${path}".`);
+        } else if (this.isOpen(directory)) {
+            throw new FileSystemError('EBUSY', `Directory "${path}" contains open files.`);
+        }
+
+        // Remove the directory from its parent directory and free its blocks and Inodes
+        unlinkEntry(this.disk, parent, name, this.now());
+        releaseEntry(this.disk, directory);
+    }
+
+    // Function to create a file with the given content (a string or a Buffer)
+    createFile(path, content = '') {
+        this.createFileEntry(path, Buffer.byteLength(content), (inode) => writeFileData(this.disk, inode, content));
+    }
+
+    // Function to create a file of the given size filled with zeros, allocating its blocks without building its
+    // content in memory
+    createZeroFile(path, size) {
+        this.createFileEntry(path, size, (inode) => writeZeroData(this.disk, inode, size));
+    }
+
+    // Function to create a file of the given size, whose content is written by write(inode), once the size is known to
+    // fit in a file and in the quota of the active user
+    createFileEntry(path, size, write) {
+        const { parent, name } = this.lookupParent(path);
+
+        if (parent.hasEntry(name)) {
+            throw new FileSystemError('EEXIST', `"${path}" already exists.`);
+        }
+        validateName(name);
+        checkFileSize(size);
+        this.checkQuota(this.activeUserId, countFileBlocks(size), 1);
+
+        const file = new File(name, this.allocateEntryInode(parent, 'file'));
+
+        // Write the content to blocks on the disk and add the file to its directory
+        try {
+            write(file.inode);
+            this.addEntry(parent, file);
+        } catch (error) {
+            releaseEntry(this.disk, file);
+            throw error;
+        }
+    }
+
+    // Function to read the content of a file, which requires read permission
+    readFile(path) {
+        const file = this.lookup(path, 'r');
+
+        if (!(file instanceof File)) {
+            throw new FileSystemError('EISDIR', `"${path}" is not a file.`);
+        }
+
+        this.updateTimes(file.inode, { accessed: true });
+        return readFileData(this.disk, file.inode);
+    }
+
+    // Function to replace the content of a file, creating the file when it does not exist yet;
+    // returns true if the file was created
+    writeFile(path, content) {
+        if (!this.resolve(path)) {
+            this.createFile(this.creationPath(path), content);
+            return true;
+        }
+
+        // Replacing the content requires write permission
+        const file = this.lookup(path, 'w');
+
+        if (!(file instanceof File)) {
+            throw new FileSystemError('EISDIR', `"${path}" is not a file.`);
+        }
+
+        this.checkQuota(file.inode.ownerId, countFileBlocks(Buffer.byteLength(content)) - countFileBlocks(file.inode.size), 0);
+        file.inode.lastUpdateTime = this.now();
+        writeFileData(this.disk, file.inode, content);
+        return false;
+    }
+
+    // Function to append content to the end of a file, creating the file when it does not exist yet;
+    // returns true if the file was created
+    appendFile(path, content) {
+        const created = !this.resolve(path);
+        const descriptor = this.open(path, 'a');
+
+        try {
+            this.write(descriptor, content);
+        } finally {
+            this.close(descriptor);
+        }
+
+        return created;
+    }
+
+    // Function to delete a file or symbolic link; the data of a file is freed with its last hard link
+    unlink(path) {
+        const { parent, name } = this.lookupParent(path);
+        const file = parent.files[name];
+
+        if (!file) {
+            throw new FileSystemError(parent.subdirectories[name] ? 'EISDIR' : 'ENOENT', `File "${path}" not found.`);
+        } else if (!this.canDeleteEntry(parent, file)) {
+            throw new FileSystemError('EPERM', `Permission denied: "${path}" is in a sticky directory and is not yours.`);
+        } else if (file.inode.linkCount === 1 && this.isOpen(file)) {
+            throw new FileSystemError('EBUSY', `File "${path}" is open. Close it before removing it.`);
+        }
+
+        releaseEntry(this.disk, file);
+        unlinkEntry(this.disk, parent, name, this.now());
+    }
+
+    // Function to create a hard link: a new directory entry for the Inode of an existing file or symbolic link
+    // Directories cannot be hard linked, since that could make the directory tree a graph
+    link(existingPath, newPath) {
+        const existing = this.lookup(existingPath, '', { follow: false });
+
+        if (existing instanceof Directory) {
+            throw new FileSystemError('EPERM', `"${existingPath}" is a directory. Hard links to directories are not allowed.`);
+        }
+
+        const { parent, name } = this.lookupParent(newPath);
+
+        if (parent.hasEntry(name)) {
+            throw new FileSystemError('EEXIST', `"${newPath}" already exists.`);
+        }
+        validateName(name);
+
+        existing.inode.linkCount++;
+        try {
+            this.addEntry(parent, createEntry(name, existing.inode));
+        } catch (error) {
+            existing.inode.linkCount--;
+            throw error;
+        }
+        writeInode(this.disk, existing.inode);
+    }
+
+    // Function to create a symbolic link at a path, pointing to a target path that does not need to exist
+    symlink(target, path) {
+        if (target === '') {
+            throw new FileSystemError('EINVAL', 'The target of a symbolic link cannot be empty.');
+        }
+
+        const { parent, name } = this.lookupParent(path);
+
+        if (parent.hasEntry(name)) {
+            throw new FileSystemError('EEXIST', `"${path}" already exists.`);
+        }
+        validateName(name);
+        this.checkQuota(this.activeUserId, countFileBlocks(Buffer.byteLength(target)), 1);
+
+        const symbolicLink = new SymbolicLink(name, this.allocateEntryInode(parent, 'symlink'));
+
+        try {
+            writeFileData(this.disk, symbolicLink.inode, target);
+            this.addEntry(parent, symbolicLink);
+        } catch (error) {
+            releaseEntry(this.disk, symbolicLink);
+            throw error;
+        }
+    }
+
+    // Function to read the target of a symbolic link
+    readlink(path) {
+        const symbolicLink = this.lookup(path, '', { follow: false });
+
+        if (!(symbolicLink instanceof SymbolicLink)) {
+            throw new FileSystemError('EINVAL', `"${path}" is not a symbolic link.`);
+        }
+
+        return readFileData(this.disk, symbolicLink.inode);
+    }
+
+    // Function to find where an entry goes for a destination path: inside it when it is an existing directory,
+    // otherwise at the path itself; returns the parent directory and the name of the entry
+    lookupDestination(path, name) {
+        return this.resolve(path) instanceof Directory ? this.lookupParent(`${path}/${name}`) : this.lookupParent(path);
+    }
+
+    // Function to move or rename a file, symbolic link or directory, keeping its Inode; a file at the destination
+    // is replaced. Write and search permission are required on both parent directories
+    rename(oldPath, newPath) {
+        const { parent: oldParent, name: oldName } = this.lookupParent(oldPath);
+        const entry = oldParent.subdirectories[oldName] || oldParent.files[oldName];
+
+        if (!entry) {
+            throw new FileSystemError('ENOENT', `"${oldPath}" not found.`);
+        } else if (!this.canDeleteEntry(oldParent, entry)) {
+            throw new FileSystemError('EPERM', `Permission denied: "${oldPath}" is in a sticky directory and is not yours.`);
+        } else if (entry instanceof Directory && this.isInCurrentPath(entry)) {
+            throw new FileSystemError('EBUSY', 'Cannot move the current directory or one of its parents.');
+        }
+
+        const { parent, name } = this.lookupDestination(newPath, oldName);
+        const existing = parent.subdirectories[name] || parent.files[name];
+
+        // Moving an entry onto itself, or onto another hard link of the same file, changes nothing
+        if (existing && existing.inode === entry.inode) {
+            return;
+        } else if (entry instanceof Directory && (parent === entry || entry.contains(parent))) {
+            throw new FileSystemError('EINVAL', `Cannot move "${oldPath}" into itself.`);
+        }
+        validateName(name);
+
+        if (existing) {
+            if (existing instanceof Directory || entry instanceof Directory) {
+                throw new FileSystemError('EEXIST', `"${name}" already exists in the destination directory.`);
+            } else if (!this.canDeleteEntry(parent, existing)) {
+                throw new FileSystemError('EPERM', `Permission denied: "${name}" is in a sticky directory and is not yours.`);
+            } else if (existing.inode.linkCount === 1 && this.isOpen(existing)) {
+                throw new FileSystemError('EBUSY', `File "${name}" is open. Close it before replacing it.`);
+            }
+
+            unlinkEntry(this.disk, parent, name, this.now());
+        }
+
+        // Link the entry under its new name, back under the old one, with the file it replaces, if the destination
+        // directory cannot grow or its owner is over quota; the replaced file is only freed once the move is done
+        unlinkEntry(this.disk, oldParent, oldName, this.now());
+        entry.name = name;
+        try {
+            this.addEntry(parent, entry);
+        } catch (error) {
+            entry.name = oldName;
+            linkEntry(this.disk, oldParent, entry, this.now());
+            if (existing) {
+                linkEntry(this.disk, parent, existing, this.now());
+            }
+            throw error;
+        }
+
+        if (existing) {
+            releaseEntry(this.disk, existing);
+        }
+    }
+
+    // Function to copy a file, or a directory tree when recursive, to new Inodes owned by the active user
+    // Symbolic links are followed for the source path and copied as links inside a tree. An existing file at the
+    // destination is overwritten, which requires write permission on it
+    copy(sourcePath, destinationPath, options = {}) {
+        const source = this.lookup(sourcePath);
+
+        if (source instanceof Directory && !options.recursive) {
+            throw new FileSystemError('EISDIR', `"${sourcePath}" is a directory.`);
+        }
+
+        const { parent, name } = this.lookupDestination(destinationPath, source.name);
+        const existing = parent.subdirectories[name] || parent.files[name];
+
+        if (source instanceof Directory && (parent === source || source.contains(parent))) {
+            throw new FileSystemError('EINVAL', `Cannot copy "${sourcePath}" into itself.`);
+        }
+
+        // Every entry of the source must be readable, and the copy must fit on the disk, before anything is written
+        const required = this.planCopy(source, sourcePath);
+
+        if (existing) {
+            if (!(existing instanceof File) || !(source instanceof File)) {
+                throw new FileSystemError('EEXIST', `"${name}" already exists in the destination directory.`);
+            } else if (existing.inode === source.inode) {
+                throw new FileSystemError('EINVAL', `"${sourcePath}" and "${destinationPath}" are the same file.`);
+            } else if (!this.canAccess(existing, 'w')) {
+                throw new FileSystemError('EACCES', `Permission denied for "${destinationPath}".`);
+            }
+
+            this.checkQuota(existing.inode.ownerId, countFileBlocks(source.inode.size) - countFileBlocks(existing.inode.size), 0);
+            existing.inode.lastUpdateTime = this.now();
+            writeFileData(this.disk, existing.inode, readFileRange(this.disk, source.inode, 0, source.inode.size));
+            return;
+        }
+
+        validateName(name);
+        const { freeBlocks, freeInodes } = readSuperblock(this.disk);
+
+        if (required.blocks > freeBlocks || required.inodes > freeInodes) {
+            throw new FileSystemError('ENOSPC', 'Not enough space on the disk.');
+        }
+        this.checkQuota(this.activeUserId, required.blocks, required.inodes);
+
+        this.copyEntry(source, parent, name);
+    }
+
+    // Function to check that the active user can read every entry of a tree to copy, returning the number of blocks
+    // and Inodes the copy takes
+    planCopy(entry, path) {
+        if (entry instanceof SymbolicLink) {
+            return { blocks: countFileBlocks(entry.inode.size), inodes: 1 };
+        } else if (!this.canAccess(entry, entry instanceof Directory ? 'rx' : 'r')) {
+            throw new FileSystemError('EACCES', `Permission denied: cannot read "${path}".`);
+        } else if (!(entry instanceof Directory)) {
+            return { blocks: countFileBlocks(entry.inode.size), inodes: 1 };
+        }
+
+        const children = [...Object.values(entry.subdirectories), ...Object.values(entry.files)];
+        const required = { blocks: countFileBlocks(children.length * DIRECTORY_ENTRY_SIZE), inodes: 1 };
+
+        for (const child of children) {
+            const { blocks, inodes } = this.planCopy(child, `${path}/${child.name}`);
+            required.blocks += blocks;
+            required.inodes += inodes;
+        }
+
+        return required;
+    }
+
+    // Function to copy an entry, and the tree of a directory, into a directory under a new name
+    // Copies keep the permissions and sticky bit of the originals but not the setuid and setgid bits
+    copyEntry(source, parent, name) {
+        const inode = this.allocateEntryInode(parent, source.inode.fileType);
+        inode.setMode((source.inode.getMode() & ~(SETUID_BIT | SETGID_BIT)) | (inode.getMode() & SETGID_BIT));
+        writeInode(this.disk, inode);
+
+        const copy = createEntry(name, inode);
+
+        try {
+            if (!(copy instanceof Directory)) {
+                writeFileData(this.disk, inode, readFileRange(this.disk, source.inode, 0, source.inode.size));
+            }
+            this.addEntry(parent, copy);
+        } catch (error) {
+            releaseEntry(this.disk, copy);
+            throw error;
+        }
+
+        if (copy instanceof Directory) {
+            [...Object.values(source.subdirectories), ...Object.values(source.files)].forEach((child) => this.copyEntry(child, copy, child.name));
+        }
+    }
+
+    // Function to open a file with an access mode of OPEN_FLAGS, returning the lowest free descriptor
+    // Reading requires read permission and writing requires write permission on the file
+    open(path, flags = 'r') {
+        if (!Object.hasOwn(OPEN_FLAGS, flags)) {
+            throw new FileSystemError('EINVAL', `Invalid open mode "${flags}". Use one of: ${Object.keys(OPEN_FLAGS).join(', ')}.`);
+        }
+
+        const mode = OPEN_FLAGS[flags];
+
+        if (mode.create && !this.resolve(path)) {
+            this.createFile(this.creationPath(path));
+        }
+
+        const file = this.lookup(path, `${mode.read ? 'r' : ''}${mode.write ? 'w' : ''}`);
+
+        if (!(file instanceof File)) {
+            throw new FileSystemError('EISDIR', `"${path}" is not a file.`);
+        }
+
+        if (mode.truncate && file.inode.size > 0) {
+            releaseFileBlocks(this.disk, file.inode);
+            file.inode.size = 0;
+            this.updateTimes(file.inode, { updated: true });
+        }
+
+        let descriptor = 0;
+        while (this.openFiles[descriptor]) {
+            descriptor++;
+        }
+
+        this.openFiles[descriptor] = { file, path: formatPath(this.normalizePath(path)), flags, ...mode, offset: 0 };
+        return descriptor;
+    }
+
+    // Function to get an entry of the open file table, checking that the descriptor is open
+    getOpenFile(descriptor) {
+        const openFile = this.openFiles[descriptor];
+
+        if (!openFile) {
+            throw new FileSystemError('EBADF', `Bad file descriptor ${descriptor}.`);
+        }
+
+        return openFile;
+    }
+
+    // Function to read up to length bytes (the rest of the file by default) from the offset of a descriptor,
+    // moving the offset past the bytes read; returns a Buffer, empty at the end of the file
+    read(descriptor, length = Infinity) {
+        const openFile = this.getOpenFile(descriptor);
+
+        if (!openFile.read) {
+            throw new FileSystemError('EBADF', `File descriptor ${descriptor} is not open for reading.`);
+        }
+
+        const data = readFileRange(this.disk, openFile.file.inode, openFile.offset, length);
+        openFile.offset += data.length;
+        this.updateTimes(openFile.file.inode, { accessed: true });
+        return data;
+    }
+
+    // Function to write content (a string or a Buffer) at the offset of a descriptor, or at the end of the file
+    // in append mode, moving the offset past the bytes written; returns the number of bytes written
+    write(descriptor, content) {
+        const openFile = this.getOpenFile(descriptor);
+        const { inode } = openFile.file;
+
+        if (!openFile.write) {
+            throw new FileSystemError('EBADF', `File descriptor ${descriptor} is not open for writing.`);
+        }
+
+        const data = Buffer.from(content);
+        const offset = openFile.append ? inode.size : openFile.offset;
+
+        this.checkQuota(inode.ownerId, countFileBlocks(Math.max(inode.size, offset + data.length)) - countFileBlocks(inode.size), 0);
+        inode.lastUpdateTime = this.now();
+        writeFileRange(this.disk, inode, offset, data);
+        openFile.offset = offset + data.length;
+        return data.length;
+    }
+
+    // Function to move the offset of a descriptor, relative to the start ("set"), the current offset ("cur") or the
+    // end of the file ("end"); the offset may go past the end, and a later write fills the gap with zeros
+    lseek(descriptor, offset, whence = 'set') {
+        const openFile = this.getOpenFile(descriptor);
+        const origins = { set: 0, cur: openFile.offset, end: openFile.file.inode.size };
+
+        if (!Object.hasOwn(origins, whence)) {
+            throw new FileSystemError('EINVAL', `Invalid origin "${whence}". Use set, cur or end.`);
+        } else if (!Number.isInteger(offset) || origins[whence] + offset < 0) {
+            throw new FileSystemError('EINVAL', `Invalid offset ${offset}.`);
+        }
+
+        openFile.offset = origins[whence] + offset;
+        return openFile.offset;
+    }
+
+    // Function to close a descriptor, freeing it for the next open
+    close(descriptor) {
+        this.getOpenFile(descriptor);
+        delete this.openFiles[descriptor];
+    }
+
+    // Function to list the open descriptors with their path, access mode and offset
+    listOpenFiles() {
+        return Object.entries(this.openFiles).map(([descriptor, { path, flags, offset }]) => ({ descriptor: Number(descriptor), path, flags, offset }));
+    }
+
+    // Function to check if a file, or any file of a directory tree, is open
+    isOpen(entry) {
+        const openInodes = Object.values(this.openFiles).map((openFile) => openFile.file.inode);
+
+        const containsOpenFile = (current) => openInodes.includes(current.inode) || (current instanceof Directory
+            && [...Object.values(current.subdirectories), ...Object.values(current.files)].some(containsOpenFile));
+
+        return containsOpenFile(entry);
+    }
+
+    // Function to record the current time as the last access and/or last update of an Inode
+    updateTimes(inode, { accessed = false, updated = false }) {
+        const time = this.now();
+
+        if (accessed) {
+            inode.lastAccessTime = time;
+        }
+        if (updated) {
+            inode.lastUpdateTime = time;
+        }
+
+        writeInode(this.disk, inode);
+    }
+
+    // Function to list the entries of a directory (subdirectories first), which requires read and search permission
+    readdir(path) {
+        const directory = this.lookup(path);
+
+        if (!(directory instanceof Directory)) {
+            throw new FileSystemError('ENOTDIR', `"${path}" is not a directory.`);
+        } else if (!this.canAccess(directory, 'rx')) {
+            throw new FileSystemError('EACCES', `Permission denied: cannot read directory "${directory.name}".`);
+        }
+
+        this.updateTimes(directory.inode, { accessed: true });
+        return [...Object.values(directory.subdirectories), ...Object.values(directory.files)]
+            .map((entry) => ({ name: entry.name, fileType: entry.inode.fileType, inodeId: entry.inode.id }));
+    }
+
+    // Function to get the Inode information of a file or directory, following symbolic links
+    stat(path) {
+        return this.lookup(path).inode.getInfo();
+    }
+
+    // Function to get the Inode information of a file, directory or symbolic link, without following a symbolic link
+    // at the end of the path; the target of a symbolic link is included
+    lstat(path) {
+        const entry = this.lookup(path, '', { follow: false });
+        const info = entry.inode.getInfo();
+
+        if (entry instanceof SymbolicLink) {
+            info.target = readFileData(this.disk, entry.inode);
+        }
+
+        return info;
+    }
+
+    // Function to search the tree of a directory, as "find" does, for the entries (the directory included) matching
+    // every given criterion: name (a glob pattern for the entry name, see globToRegExp), fileType ('file', 'directory'
+    // or 'symlink'), ownerId, mode (12 mode bits, with modeMatch 'exact', 'all' for at least these bits or 'any' for
+    // at least one of them), size ({ comparison, count, unit }, the size in units of unit bytes, rounded up, being
+    // 'less' than, 'equal' to or 'greater' than count) and newer (the path of a file updated before the entries)
+    // Symbolic links met on the way are not followed, and directories are only searched with read and search
+    // permission; the others are skipped and their errors returned with the paths of the entries found
+    find(path, criteria = {}) {
+        const { name, fileType, ownerId, mode, modeMatch = 'exact', size, newer } = criteria;
+        const start = this.lookup(path);
+        const pattern = name !== undefined ? globToRegExp(name) : null;
+        const reference = newer !== undefined ? this.lookup(newer).inode : null;
+        const matches = [];
+        const errors = [];
+
+        const isMatch = ({ name: entryName, inode }) => {
+            const entryMode = inode.getMode();
+            const units = size ? Math.ceil(inode.size / size.unit) : 0;
+            return (pattern === null || pattern.test(entryName))
+                && (fileType === undefined || inode.fileType === fileType)
+                && (ownerId === undefined || inode.ownerId === ownerId)
+                && (mode === undefined || (modeMatch === 'exact' && entryMode === mode)
+                    || (modeMatch === 'all' && (entryMode & mode) === mode)
+                    || (modeMatch === 'any' && (mode === 0 || (entryMode & mode) !== 0)))
+                && (!size || { less: units < size.count, equal: units === size.count, greater: units > size.count }[size.comparison])
+                && (reference === null || inode.lastUpdateTime > reference.lastUpdateTime);
+        };
+
+        const visit = (entry, entryPath) => {
+            if (isMatch(entry)) {
+                matches.push(entryPath);
+            }
+
+            if (!(entry instanceof Directory)) {
+                return;
+            } else if (!this.canAccess(entry, 'rx')) {
+                errors.push(new FileSystemError('EACCES', `Permission denied: cannot read directory "${entryPath}".`));
+                return;
+            }
+
+            this.updateTimes(entry.inode, { accessed: true });
+            [...Object.values(entry.subdirectories), ...Object.values(entry.files)].forEach((child) => visit(child, joinPath(entryPath, child.name)));
+        };
+
+        visit(start, path);
+        return { matches, errors };
+    }
+
+    // Function to search the content of a file, as "grep" does, for the lines matching a regular expression (case
+    // insensitive with ignoreCase); with recursive, a directory is searched through its tree, without following the
+    // symbolic links met on the way. Files are read with read permission and directories with read and search
+    // permission; the others are skipped and their errors returned with the lines found, as { path, line }, or once
+    // as { path, binary: true } for a matching file holding null bytes
+    grep(pattern, path, options = {}) {
+        let expression;
+        try {
+            expression = new RegExp(pattern, options.ignoreCase ? 'i' : '');
+        } catch (error) {
+            throw new FileSystemError('EINVAL', `Invalid regular expression "${pattern}".`);
+        }
+
+        const start = this.lookup(path);
+        const matches = [];
+        const errors = [];
+
+        if (start instanceof Directory && !options.recursive) {
+            throw new FileSystemError('EISDIR', `"${path}" is a directory. Use "grep -r" to search its files.`);
+        }
+
+        const visit = (entry, entryPath) => {
+            const access = entry instanceof Directory ? 'rx' : 'r';
+            if (entry instanceof SymbolicLink) {
+                return;
+            } else if (!this.canAccess(entry, access)) {
+                errors.push(new FileSystemError('EACCES', `Permission denied: cannot read ${entry instanceof Directory ? 'directory' : 'file'} "${entryPath}".`));
+                return;
+            }
+
+            this.updateTimes(entry.inode, { accessed: true });
+            if (entry instanceof Directory) {
+                [...Object.values(entry.subdirectories), ...Object.values(entry.files)].forEach((child) => visit(child, joinPath(entryPath, child.name)));
+                return;
+            }
+
+            // The last line of a file ending with a new line is empty and not searched
+            const content = readFileData(this.disk, entry.inode);
+            const lines = content.split('\n').filter((line, i, all) => i < all.length - 1 || line !== '');
+            const matching = lines.filter((line) => expression.test(line));
+
+            if (content.includes('\0') && matching.length > 0) {
+                matches.push({ path: entryPath, binary: true });
+            } else {
+                matching.forEach((line) => matches.push({ path: entryPath, line }));
+            }
+        };
+
+        visit(start, path);
+        return { matches, errors };
+    }
+
+    // Function to apply a mode (octal or symbolic, see parseMode) to a file or directory, and to the whole tree of a
+    // directory when recursive; only the owner and the admin user can change a mode. Entries of the tree that cannot be
+    // changed are skipped and their errors returned with the new mode
+    chmod(path, modeString, options = {}) {
+        const entry = this.lookup(path);
+
+        if (parseMode(modeString, 0, false) === null) {
+            throw new FileSystemError('EINVAL', 'Invalid mode. Use 1 to 4 octal digits or clauses like "u+x", "g-w", "o=r", "a+t" separated by commas.');
+        } else if (this.activeUserId !== 0 && entry.inode.ownerId !== this.activeUserId) {
+            throw new FileSystemError('EPERM', `Permission denied: cannot change the mode of "${path}", which is not yours.`);
+        }
+
+        const errors = [];
+        const changeMode = (current) => {
+            if (this.activeUserId !== 0 && current.inode.ownerId !== this.activeUserId) {
+                errors.push(new FileSystemError('EPERM', `Permission denied: cannot change the mode of "${current.name}", which is not yours.`));
+            } else {
+                current.inode.setMode(parseMode(modeString, current.inode.getMode(), current instanceof Directory));
+                writeInode(this.disk, current.inode);
+            }
+
+            if (!options.recursive || !(current instanceof Directory)) {
+                return;
+            } else if (!this.canAccess(current, 'rx')) {
+                errors.push(new FileSystemError('EACCES', `Permission denied: cannot read directory "${current.name}".`));
+                return;
+            }
+
+            // As on Linux, the mode of a symbolic link is fixed and the recursion does not follow it
+            [...Object.values(current.subdirectories), ...Object.values(current.files)]
+                .filter((child) => !(child instanceof SymbolicLink))
+                .forEach(changeMode);
+        };
+
+        changeMode(entry);
+        return { mode: entry.inode.getMode(), errors };
+    }
+
+    // Function to change the owner of a file or directory to a user given by ID or username (admin only)
+    chown(path, user) {
+        this.requireAdmin('Only the admin user can change the owner of a file or directory.');
+
+        const owner = this.findUser(user);
+        if (!owner) {
+            throw new FileSystemError('ENOENT', typeof user === 'number' ? `User with ID ${user} not found.` : `User "${user}" not found.`);
+        }
+
+        const entry = this.lookup(path);
+        entry.inode.changeOwner(owner.id);
+        writeInode(this.disk, entry.inode);
+    }
+
+    // Function to change the group of a file or directory
+    // The owner can only give the file to a group they belong to; the admin user to any group
+    chgrp(path, groupName) {
+        const group = this.findGroup(groupName);
+        if (!group) {
+            throw new FileSystemError('ENOENT', `Group "${groupName}" not found.`);
+        }
+
+        const entry = this.lookup(path);
+
+        if (this.activeUserId !== 0 && (this.activeUserId !== entry.inode.ownerId || !this.isGroupMember(this.activeUserId, group.id))) {
+            throw new FileSystemError('EPERM', 'You do not have permission to change the group of this file/directory.');
+        }
+
+        entry.inode.changeGroup(group.id);
+        writeInode(this.disk, entry.inode);
+    }
+
+    // Function to reformat the disk, removing every file and directory, closing every open file and returning to
+    // the root directory (admin only); the disk keeps its journal mode unless another one is given, and its
+    // allocation strategy
+    format(journalMode = getJournalModeName(readSuperblock(this.disk).journalMode)) {
+        this.requireAdmin('Only the admin user can format the disk.');
+        validateJournalMode(this.disk.length, journalMode);
+        const allocationStrategy = getAllocationStrategyName(readSuperblock(this.disk).allocationStrategy);
+
+        // Clear subdirectories and files in the root directory
+        this.rootDirectory.subdirectories = Object.create(null);
+        this.rootDirectory.files = Object.create(null);
+
+        // Rebuild the superblock, bitmap and Inode table, with a fresh root Inode
+        this.rootDirectory.inode = formatDisk(this.disk, this.now(), journalMode, allocationStrategy);
+        this.currentPath = '/';
+        this.openFiles = {};
+    }
+
+    // Function to get the disk statistics from the superblock counters
+    diskInfo() {
+        const superblock = readSuperblock(this.disk);
+        return {
+            totalBytes: superblock.totalBlocks * BLOCK_SIZE,
+            availableBytes: superblock.freeBlocks * BLOCK_SIZE,
+            totalBlocks: superblock.totalBlocks,
+            freeBlocks: superblock.freeBlocks,
+            usedBlocks: superblock.totalBlocks - superblock.freeBlocks,
+            reservedBlocks: superblock.dataStart,
+            inodeCount: superblock.inodeCount,
+            usedInodes: superblock.inodeCount - superblock.freeInodes,
+            journalMode: getJournalModeName(superblock.journalMode),
+            journalBlocks: superblock.journalBlocks,
+            allocationStrategy: getAllocationStrategyName(superblock.allocationStrategy),
+            maxFileSize: MAX_FILE_SIZE,
+        };
+    }
+
+    // Function to check the consistency of the file system (admin only), returning the problems found
+    // When repair is true the problems are fixed, the directory tree is reloaded from the repaired disk and open files
+    // are closed, since their entries are replaced
+    check(repair = false) {
+        this.requireAdmin('Only the admin user can check the file system.');
+
+        const problems = checkFileSystem(this.disk, repair, this.users, this.groups, this.now());
+
+        if (repair) {
+            this.rootDirectory = loadDirectoryTree(this.disk);
+            this.openFiles = {};
+            if (!(this.resolve(this.currentPath) instanceof Directory)) {
+                this.currentPath = '/';
+            }
+        }
+
+        return problems;
+    }
+
+    // Function to choose how free blocks are given to files: first-fit, next-fit, best-fit or contiguous (admin only)
+    setAllocationStrategy(strategy) {
+        this.requireAdmin('Only the admin user can change the allocation strategy.');
+
+        if (!Object.hasOwn(ALLOCATION_STRATEGIES, strategy)) {
+            throw new FileSystemError('EINVAL', `Invalid allocation strategy "${strategy}". Use one of: ${Object.keys(ALLOCATION_STRATEGIES).join(', ')}.`);
+        }
+
+        this.transaction(() => {
+            const superblock = readSuperblock(this.disk);
+            superblock.allocationStrategy = ALLOCATION_STRATEGIES[strategy];
+            writeSuperblock(this.disk, superblock);
+        });
+    }
+
+    // Function to list every Inode in use with a path to it: the user table (without a path), then the directory tree
+    // in depth-first order, each Inode once (with the first path found for a file with several hard links)
+    listInodes() {
+        const { usersInode } = readSuperblock(this.disk);
+        const found = [{ inode: readInode(this.disk, usersInode), path: null }];
+        const seen = new Set([usersInode]);
+
+        const visit = (entry, path) => {
+            if (seen.has(entry.inode.id)) {
+                return;
+            }
+            seen.add(entry.inode.id);
+            found.push({ inode: entry.inode, path: path || '/' });
+
+            if (entry instanceof Directory) {
+                [...Object.values(entry.subdirectories), ...Object.values(entry.files)].forEach((child) => visit(child, `${path}/${child.name}`));
+            }
+        };
+
+        visit(this.rootDirectory, '');
+        return found;
+    }
+
+    // Function to map each block of the disk to what it holds (admin only): null for a free block, the name of a
+    // reserved area (superblock, bitmap, inodes or journal), or the ID of the Inode using it, marking indirection
+    // blocks. Each file is listed with its number of blocks and extents, and the free space with its runs
+    diskMap() {
+        this.requireAdmin('Only the admin user can map the disk.');
+
+        const superblock = readSuperblock(this.disk);
+        const blocks = new Array(superblock.totalBlocks).fill(null);
+        const reserved = [
+            ['superblock', 0, 1],
+            ['bitmap', superblock.bitmapStart, superblock.bitmapBlocks],
+            ['inodes', superblock.inodeTableStart, superblock.inodeTableBlocks],
+            ['journal', superblock.journalStart, superblock.journalBlocks],
+        ];
+        reserved.forEach(([area, start, count]) => blocks.fill(area, start, start + count));
+
+        const files = this.listInodes().map(({ inode, path }) => {
+            const { layout, dataBlocks } = walkFileBlocks(this.disk, inode);
+            const data = new Set(dataBlocks);
+            layout.forEach((address) => { blocks[address] = { inodeId: inode.id, indirection: !data.has(address) }; });
+            return { inodeId: inode.id, path, fileType: inode.fileType, blocks: layout.length, extents: countExtents(layout) };
+        });
+
+        const freeRuns = findFreeRuns(this.disk, superblock);
+        return {
+            dataStart: superblock.dataStart,
+            allocationStrategy: getAllocationStrategyName(superblock.allocationStrategy),
+            reserved: reserved.filter(([, , count]) => count > 0).map(([area, start, count]) => ({ area, start, count })),
+            blocks,
+            files,
+            freeRuns: freeRuns.length,
+            largestFreeRun: Math.max(0, ...freeRuns.map((run) => run.length)),
+        };
+    }
+
+    // Function to defragment the disk (admin only): the blocks of each file are moved to form one extent, the files
+    // following each other from the start of the data area in the order of listInodes, leaving the free space in one
+    // run. The file system must be consistent. Returns the number of blocks moved and of fragmented files before and after
+    defragment() {
+        this.requireAdmin('Only the admin user can defragment the disk.');
+
+        if (checkFileSystem(this.disk, false, this.users, this.groups, this.now()).length > 0) {
+            throw new FileSystemError('EUCLEAN', 'The file system has problems. Repair them with fsck before defragmenting.');
+        }
+
+        const inodes = this.listInodes().map(({ inode }) => inode);
+        const fragmentedBefore = inodes.filter((inode) => countExtents(getFileLayout(this.disk, inode)) > 1).length;
+        let movedBlocks = 0;
+
+        this.transaction(() => {
+            movedBlocks = relocateFiles(this.disk, inodes);
+        });
+
+        return { movedBlocks, fragmentedBefore, fragmentedAfter: inodes.filter((inode) => countExtents(getFileLayout(this.disk, inode)) > 1).length };
+    }
+}
+
+// Function to check the superblock of an image, returning a description of the first problem found (null if valid)
+function validateSuperblock(superblock, imageSize) {
+    const bitmapBlocks = Math.ceil(superblock.totalBlocks / (BLOCK_SIZE * 8));
+
+    if (superblock.magic !== FS_MAGIC) {
+        return 'not a disk image of this file system (bad magic number)';
+    } else if (superblock.version !== FS_VERSION) {
+        return `incompatible layout version ${superblock.version} (expected ${FS_VERSION})`;
+    } else if (superblock.blockSize !== BLOCK_SIZE) {
+        return `incompatible block size ${superblock.blockSize} (expected ${BLOCK_SIZE})`;
+    } else if (superblock.totalBlocks * BLOCK_SIZE !== imageSize) {
+        return `image size ${imageSize} does not match the ${superblock.totalBlocks} blocks recorded in the superblock`;
+    } else if (superblock.bitmapStart !== 1 || superblock.bitmapBlocks !== bitmapBlocks
+        || superblock.inodeTableStart !== 1 + bitmapBlocks
+        || superblock.dataStart !== superblock.inodeTableStart + superblock.inodeTableBlocks + superblock.journalBlocks
+        || superblock.journalStart !== (superblock.journalBlocks > 0 ? superblock.inodeTableStart + superblock.inodeTableBlocks : 0)
+        || getJournalModeName(superblock.journalMode) === undefined
+        || (superblock.journalBlocks === 0) !== (superblock.journalMode === JOURNAL_MODES.none)
+        || getAllocationStrategyName(superblock.allocationStrategy) === undefined
+        || superblock.dataStart >= superblock.totalBlocks
+        || superblock.inodeCount !== superblock.inodeTableBlocks * INODES_PER_BLOCK) {
+        return 'inconsistent disk layout in the superblock';
+    } else if (superblock.freeBlocks > superblock.totalBlocks - superblock.dataStart || superblock.freeInodes > superblock.inodeCount) {
+        return 'inconsistent free block or Inode counts in the superblock';
+    } else if (superblock.rootInode >= superblock.inodeCount || superblock.usersInode >= superblock.inodeCount) {
+        return 'invalid root directory or user table Inode in the superblock';
+    }
+
+    return null;
+}
+
+// Function to lay out the superblock, free-block bitmap, Inode table and journal on a disk, returning the root Inode
+function formatDisk(disk, time, journalMode = 'none', allocationStrategy = 'next-fit') {
+    // One bit per block, BLOCK_SIZE * 8 bits per bitmap block
+    const bitmapBlocks = Math.ceil(disk.length / (BLOCK_SIZE * 8));
+
+    // One Inode per BLOCKS_PER_INODE blocks, filling whole Inode table blocks
+    const inodeTableBlocks = Math.ceil(Math.max(8, Math.floor(disk.length / BLOCKS_PER_INODE)) / INODES_PER_BLOCK);
+    const inodeTableStart = 1 + bitmapBlocks;
+    const journalBlocks = validateJournalMode(disk.length, journalMode);
+    const dataStart = inodeTableStart + inodeTableBlocks + journalBlocks;
+
+    // Only the reserved blocks are cleared: data blocks are cleared when they are allocated
+    for (let i = 0; i < dataStart; i++) {
+        disk.write(i, Buffer.alloc(BLOCK_SIZE));
+    }
+
+    writeSuperblock(disk, {
+        magic: FS_MAGIC,
+        version: FS_VERSION,
+        blockSize: BLOCK_SIZE,
+        totalBlocks: disk.length,
+        freeBlocks: disk.length - dataStart,
+        inodeCount: inodeTableBlocks * INODES_PER_BLOCK,
+        freeInodes: inodeTableBlocks * INODES_PER_BLOCK,
+        bitmapStart: 1,
+        bitmapBlocks,
+        inodeTableStart,
+        inodeTableBlocks,
+        dataStart,
+        nextFreeHint: dataStart,
+        rootInode: 0,
+        usersInode: 1,
+        journalStart: journalBlocks > 0 ? inodeTableStart + inodeTableBlocks : 0,
+        journalBlocks,
+        journalMode: JOURNAL_MODES[journalMode],
+        allocationStrategy: ALLOCATION_STRATEGIES[allocationStrategy],
+    });
+
+    // The superblock, the bitmap, the Inode table and the journal are never free
+    for (let i = 0; i < dataStart; i++) {
+        setBlockUsed(disk, i, true);
+    }
+
+    // The root directory takes the first Inode, is shared by every user and starts without entries
+    const rootInode = allocateInode(disk, 0, ADMIN_GROUP_ID, 'directory', time);
+    rootInode.setMode(ROOT_DIRECTORY_MODE);
+    writeDirectory(disk, new Directory('/', rootInode));
+
+    // The user table takes the second Inode and is not linked into any directory
+    allocateInode(disk, 0, ADMIN_GROUP_ID, 'file', time);
+    return rootInode;
+}
+
+// Function to check a journal mode for a disk of the given number of blocks, returning the size of its journal
+function validateJournalMode(totalBlocks, journalMode) {
+    if (!Object.keys(JOURNAL_MODES).includes(journalMode)) {
+        throw new FileSystemError('EINVAL', `Invalid journal mode "${journalMode}". Use "none", "ordered" or "data".`);
+    } else if (journalMode === 'none') {
+        return 0;
+    }
+
+    const journalBlocks = Math.min(MAX_JOURNAL_BLOCKS, Math.floor(totalBlocks / JOURNAL_SIZE_RATIO));
+    if (journalBlocks < MIN_JOURNAL_BLOCKS) {
+        throw new FileSystemError('EINVAL', `The disk is too small for a journal. It needs at least ${MIN_JOURNAL_BLOCKS * JOURNAL_SIZE_RATIO * BLOCK_SIZE} bytes.`);
+    }
+    return journalBlocks;
+}
+
+// Function to get the name of the journal mode stored in the superblock
+function getJournalModeName(code) {
+    return Object.keys(JOURNAL_MODES).find((name) => JOURNAL_MODES[name] === code);
+}
+
+// Function to get the name of the allocation strategy stored in the superblock
+function getAllocationStrategyName(code) {
+    return Object.keys(ALLOCATION_STRATEGIES).find((name) => ALLOCATION_STRATEGIES[name] === code);
+}
+
+// Function to read the superblock fields from block 0
+function readSuperblock(disk) {
+    const block = disk.read(0);
+    const superblock = {};
+    SUPERBLOCK_FIELDS.forEach((field, i) => {
+        superblock[field] = block.readUInt32LE(i * 4);
+    });
+    return superblock;
+}
+
+// Function to write the superblock fields into block 0
+function writeSuperblock(disk, superblock) {
+    const block = disk.read(0);
+    SUPERBLOCK_FIELDS.forEach((field, i) => {
+        block.writeUInt32LE(superblock[field], i * 4);
+    });
+    disk.write(0, block);
+}
+
+// Function to locate the bitmap block, byte and bit that track a block
+function locateBitmapBit(disk, address) {
+    const bitsPerBlock = BLOCK_SIZE * 8;
+    const blockAddress = 1 + Math.floor(address / bitsPerBlock);
+    return {
+        blockAddress,
+        block: disk.read(blockAddress),
+        byte: Math.floor((address % bitsPerBlock) / 8),
+        mask: 1 << (address % 8),
+    };
+}
+
+// Function to check if a block is marked as used in the bitmap
+function isBlockUsed(disk, address) {
+    const { block, byte, mask } = locateBitmapBit(disk, address);
+    return (block[byte] & mask) !== 0;
+}
+
+// Function to mark a block as used or free in the bitmap
+function setBlockUsed(disk, address, used) {
+    const { blockAddress, block, byte, mask } = locateBitmapBit(disk, address);
+    block[byte] = used ? block[byte] | mask : block[byte] & ~mask;
+    disk.write(blockAddress, block);
+}
+
+// Function to allocate free blocks with the allocation strategy of the disk, returning their addresses in the order
+// the file will use them; goal is the block that would continue the file in place (null for an empty file)
+function allocateBlocks(disk, count, goal = null) {
+    const superblock = readSuperblock(disk);
+
+    if (count > superblock.freeBlocks) {
+        throw new FileSystemError('ENOSPC', 'Not enough space on the disk.');
+    } else if (count === 0) {
+        return [];
+    }
+
+    // Order the runs of free blocks by preference, for the strategy to take the first one large enough
+    // Next-fit searches from the block after the last allocation and first-fit from the start of the data area, both
+    // stopping at the first run large enough; best-fit and contiguous compare every run
+    const strategy = getAllocationStrategyName(superblock.allocationStrategy);
+    let runs;
+
+    if (strategy === 'next-fit') {
+        runs = findFreeRuns(disk, superblock, superblock.nextFreeHint, count);
+    } else if (strategy === 'first-fit') {
+        runs = findFreeRuns(disk, superblock, superblock.dataStart, count);
+    } else {
+        runs = findFreeRuns(disk, superblock);
+    }
+
+    if (strategy === 'best-fit') {
+        runs.sort((a, b) => a.length - b.length);
+    } else if (strategy === 'contiguous') {
+        runs.sort((a, b) => (b.start === goal) - (a.start === goal) || b.length - a.length);
+    }
+
+    // Without a run large enough, the blocks are spread over the runs in order (the largest first for best-fit)
+    const fitting = runs.find((run) => run.length >= count);
+    const chosenRuns = fitting ? [fitting] : strategy === 'best-fit' ? runs.reverse() : runs;
+    const addresses = [];
+
+    for (const run of chosenRuns) {
+        for (let address = run.start; address < run.start + run.length && addresses.length < count; address++) {
+            addresses.push(address);
+        }
+    }
+
+    addresses.forEach((address) => setBlockUsed(disk, address, true));
+    const last = addresses[addresses.length - 1];
+    superblock.freeBlocks -= count;
+    superblock.nextFreeHint = last + 1 < superblock.totalBlocks ? last + 1 : superblock.dataStart;
+    writeSuperblock(disk, superblock);
+    return addresses;
+}
+
+// Function to list the runs of consecutive free blocks in the data area ({ start, length }) in address order from a
+// block, wrapping around to the start of the data area, reading each bitmap block once; the search stops at the first
+// run of count blocks, which ends the list
+function findFreeRuns(disk, superblock, start = superblock.dataStart, count = Infinity) {
+    const bitsPerBlock = BLOCK_SIZE * 8;
+    const dataBlocks = superblock.totalBlocks - superblock.dataStart;
+    const runs = [];
+    let bitmapBlock = null;
+    let run = null;
+
+    for (let i = 0; i < dataBlocks; i++) {
+        const address = superblock.dataStart + ((start - superblock.dataStart + i) % dataBlocks);
+
+        // A new bitmap block is read at its first bit and after wrapping around, which also ends the current run
+        if (i === 0 || address % bitsPerBlock === 0 || address === superblock.dataStart) {
+            bitmapBlock = disk.read(superblock.bitmapStart + Math.floor(address / bitsPerBlock));
+        }
+        if (address === superblock.dataStart) {
+            run = null;
+        }
+
+        if ((bitmapBlock[Math.floor((address % bitsPerBlock) / 8)] & (1 << (address % 8))) !== 0) {
+            run = null;
+        } else if (run) {
+            run.length++;
+        } else {
+            run = { start: address, length: 1 };
+            runs.push(run);
+        }
+
+        if (run && run.length >= count) {
+            break;
+        }
+    }
+
+    return runs;
+}
+
+// Function to return a block to the free-block bitmap
+function freeBlock(disk, address) {
+    if (!isBlockUsed(disk, address)) {
+        return;
+    }
+
+    const superblock = readSuperblock(disk);
+    setBlockUsed(disk, address, false);
+    superblock.freeBlocks++;
+    writeSuperblock(disk, superblock);
+}
+
+// Function to locate the block and byte offset of an Inode in the Inode table
+function locateInode(disk, id) {
+    const { inodeTableStart } = readSuperblock(disk);
+    const blockAddress = inodeTableStart + Math.floor(id / INODES_PER_BLOCK);
+    return {
+        blockAddress,
+        block: disk.read(blockAddress),
+        offset: (id % INODES_PER_BLOCK) * INODE_SIZE,
+    };
+}
+
+// Function to write an Inode into its slot of the Inode table
+function writeInode(disk, inode) {
+    const { blockAddress, block, offset } = locateInode(disk, inode.id);
+    inode.serialize().copy(block, offset);
+    disk.write(blockAddress, block);
+}
+
+// Function to read an Inode from the Inode table (null if the slot is free)
+function readInode(disk, id) {
+    const { block, offset } = locateInode(disk, id);
+    return Inode.deserialize(id, block.subarray(offset, offset + INODE_SIZE));
+}
+
+// Function to allocate the first free Inode of the Inode table, created at the given time
+function allocateInode(disk, ownerId, groupId, fileType, time) {
+    const superblock = readSuperblock(disk);
+
+    for (let id = 0; superblock.freeInodes > 0 && id < superblock.inodeCount; id++) {
+        const { block, offset } = locateInode(disk, id);
+
+        // A file type of 0 marks a free Inode
+        if (block.readUInt8(offset) === 0) {
+            const inode = new Inode(id, ownerId, groupId, fileType, 0, time);
+            writeInode(disk, inode);
+            superblock.freeInodes--;
+            writeSuperblock(disk, superblock);
+            return inode;
+        }
+    }
+
+    throw new FileSystemError('ENOSPC', 'No free Inodes left on the disk.');
+}
+
+// Function to clear an Inode slot of the Inode table so it can be reused
+function releaseInode(disk, inode) {
+    const { blockAddress, block, offset } = locateInode(disk, inode.id);
+
+    if (block.readUInt8(offset) === 0) {
+        return;
+    }
+
+    block.fill(0, offset, offset + INODE_SIZE);
+    disk.write(blockAddress, block);
+    const superblock = readSuperblock(disk);
+    superblock.freeInodes++;
+    writeSuperblock(disk, superblock);
+}
+
+// Function to convert the permissions object of an Inode into 9 mode bits (rwxrwxrwx)
+function permissionsToMode(permissions) {
+    return PERMISSION_CLASSES.reduce((mode, permissionClass) => {
+        const { read, write, execute } = permissions[permissionClass];
+        return (mode << 3) | (read ? 4 : 0) | (write ? 2 : 0) | (execute ? 1 : 0);
+    }, 0);
+}
+
+// Function to convert 9 mode bits (rwxrwxrwx) into a permissions object
+function modeToPermissions(mode) {
+    const permissions = {};
+    PERMISSION_CLASSES.forEach((permissionClass, i) => {
+        const bits = (mode >> ((2 - i) * 3)) & 7;
+        permissions[permissionClass] = { read: (bits & 4) !== 0, write: (bits & 2) !== 0, execute: (bits & 1) !== 0 };
+    });
+    return permissions;
+}
+
+// Function to store the entries of a directory (name and Inode ID) in its data blocks
+function writeDirectory(disk, directory) {
+    const entries = [...Object.values(directory.subdirectories), ...Object.values(directory.files)];
+    const data = Buffer.alloc(entries.length * DIRECTORY_ENTRY_SIZE);
+
+    entries.forEach((entry, i) => {
+        const offset = i * DIRECTORY_ENTRY_SIZE;
+        const nameLength = data.write(entry.name, offset + 5, MAX_NAME_LENGTH);
+        data.writeUInt32LE(entry.inode.id, offset);
+        data.writeUInt8(nameLength, offset + 4);
+    });
+
+    writeFileData(disk, directory.inode, data);
+}
+
+// Function to read the entries (name and Inode ID) stored in the data blocks of a directory
+function readDirectoryEntries(disk, inode) {
+    const data = Buffer.concat(getFileBlocks(disk, inode).map((address) => disk.read(address))).subarray(0, inode.size);
+    const entries = [];
+
+    // A trailing partial entry (from a damaged size) is ignored
+    for (let offset = 0; offset + DIRECTORY_ENTRY_SIZE <= data.length; offset += DIRECTORY_ENTRY_SIZE) {
+        const nameLength = data.readUInt8(offset + 4);
+        entries.push({
+            inodeId: data.readUInt32LE(offset),
+            name: data.toString('utf8', offset + 5, offset + 5 + nameLength),
+        });
+    }
+
+    return entries;
+}
+
+// Function to rebuild the directory tree from the root Inode using only the disk blocks
+// The entries of a file with several hard links share one Inode object
+// Entries pointing to an invalid Inode, the root directory, the user table or a directory already loaded are skipped,
+// so that a damaged disk can still be mounted and repaired by fsck
+function loadDirectoryTree(disk) {
+    const { rootInode, usersInode, inodeCount } = readSuperblock(disk);
+    const inodes = {};
+    const loadedDirectories = new Set([rootInode]);
+
+    const loadDirectory = (name, inode) => {
+        const directory = new Directory(name, inode);
+
+        for (const { inodeId, name: entryName } of readDirectoryEntries(disk, inode)) {
+            if (inodeId >= inodeCount || inodeId === usersInode || loadedDirectories.has(inodeId)) {
+                continue;
+            }
+
+            const entryInode = inodes[inodeId] || readInode(disk, inodeId);
+
+            if (entryInode && entryInode.fileType === 'directory') {
+                loadedDirectories.add(inodeId);
+                directory.addSubdirectory(loadDirectory(entryName, entryInode));
+            } else if (entryInode) {
+                inodes[inodeId] = entryInode;
+                directory.addFile(createEntry(entryName, entryInode));
+            }
+        }
+
+        return directory;
+    };
+
+    return loadDirectory('/', readInode(disk, rootInode));
+}
+
+// Function to create the directory, file or symbolic link object of a directory entry from the type of its Inode
+function createEntry(name, inode) {
+    if (inode.fileType === 'directory') {
+        return new Directory(name, inode);
+    }
+    return inode.fileType === 'symlink' ? new SymbolicLink(name, inode) : new File(name, inode);
+}
+
+// Function to add a file or subdirectory to a directory and store the updated entries on the disk, recording the
+// time of the change as the last update of the directory; the ".." entry of a subdirectory adds a link to the directory
+function linkEntry(disk, directory, entry, time) {
+    const isDirectory = entry instanceof Directory;
+    const added = isDirectory ? directory.addSubdirectory(entry) : directory.addFile(entry);
+
+    if (!added) {
+        throw new FileSystemError('EEXIST', `"${entry.name}" already exists.`);
+    }
+
+    try {
+        directory.inode.lastUpdateTime = new Date(time);
+        directory.inode.linkCount += isDirectory ? 1 : 0;
+        writeDirectory(disk, directory);
+    } catch (error) {
+        directory.inode.linkCount -= isDirectory ? 1 : 0;
+        directory.removeEntry(entry.name);
+        throw error;
+    }
+}
+
+// Function to remove a file or subdirectory from a directory and store the updated entries on the disk, recording
+// the time of the change as the last update of the directory; removing a subdirectory removes the link of its ".."
+function unlinkEntry(disk, directory, name, time) {
+    directory.inode.linkCount -= directory.subdirectories[name] ? 1 : 0;
+    directory.removeEntry(name);
+    directory.inode.lastUpdateTime = new Date(time);
+    writeDirectory(disk, directory);
+}
+
+// Function to check that a name fits in a directory entry
+function validateName(name) {
+    if (Buffer.byteLength(name) > MAX_NAME_LENGTH) {
+        throw new FileSystemError('ENAMETOOLONG', `Name "${name}" is too long. The maximum length is ${MAX_NAME_LENGTH} bytes.`);
+    }
+}
+
+// Function to walk the blocks of a file in the order they are laid out on a contiguous file: the direct blocks, then
+// each indirection block just before the blocks it points to. Returns every block (layout), the data blocks in file
+// order and, when accept returns false for a block, that block, where the walk stops: { address, indirection }
+function walkFileBlocks(disk, inode, accept = () => true) {
+    const layout = [];
+    const dataBlocks = [];
+    let rejected = null;
+
+    // Visit a block and the blocks under it, down to the data blocks at level 0; returns false at the end of the file
+    const visit = (address, level) => {
+        // Address 0 is never a data block, so it marks the end of the file
+        if (address === null || address === 0) {
+            return false;
+        }
+        if (!accept(address)) {
+            rejected = { address, indirection: level > 0 };
+            return false;
+        }
+
+        layout.push(address);
+        if (level === 0) {
+            dataBlocks.push(address);
+            return true;
+        }
+
+        const block = disk.read(address);
+        for (let i = 0; i < POINTERS_PER_BLOCK; i++) {
+            if (!visit(block.readUInt32LE(i * 4), level - 1)) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    inode.blockAddresses.every((address) => visit(address, 0))
+        && INDIRECTION_FIELDS.every((field, i) => visit(inode[field], i + 1));
+    return { layout, dataBlocks, rejected };
+}
+
+// Function to list the data block indices of a file, following its indirection blocks
+function getFileBlocks(disk, inode) {
+    return walkFileBlocks(disk, inode).dataBlocks;
+}
+
+// Function to move the blocks of files so that each one is a single extent, the files following each other from the
+// start of the data area, and to update their Inodes and indirection blocks; returns the number of blocks moved
+// Every block is read before any is overwritten, so blocks can move over each other
+function relocateFiles(disk, inodes) {
+    const superblock = readSuperblock(disk);
+    const walks = inodes.map((inode) => walkFileBlocks(disk, inode));
+    const contents = new Map();
+
+    walks.forEach(({ layout }) => layout.forEach((address) => contents.set(address, Buffer.from(disk.read(address)))));
+    walks.forEach(({ layout }) => layout.forEach((address) => setBlockUsed(disk, address, false)));
+
+    let next = superblock.dataStart;
+    let movedBlocks = 0;
+
+    inodes.forEach((inode, i) => {
+        const { layout, dataBlocks } = walks[i];
+        const newLayout = layout.map((_, j) => next + j);
+        next += layout.length;
+
+        newLayout.forEach((address, j) => {
+            setBlockUsed(disk, address, true);
+            if (address !== layout[j]) {
+                disk.write(address, contents.get(layout[j]));
+                movedBlocks++;
+            }
+        });
+
+        // The indirection blocks are rebuilt to point to the new addresses, taken in the same order
+        buildFileBlocks(disk, inode, dataBlocks.length, newLayout);
+        writeInode(disk, inode);
+    });
+
+    superblock.nextFreeHint = next < superblock.totalBlocks ? next : superblock.dataStart;
+    writeSuperblock(disk, superblock);
+    return movedBlocks;
+}
+
+// Function to list every block of a file, including its indirection blocks, in the order they are laid out on a
+// contiguous file: the direct blocks, then each indirection block just before the blocks it points to
+function getFileLayout(disk, inode) {
+    return walkFileBlocks(disk, inode).layout;
+}
+
+// Function to count the extents of a file: the runs of consecutive blocks in its layout
+function countExtents(layout) {
+    return layout.filter((address, i) => i === 0 || address !== layout[i - 1] + 1).length;
+}
+
+// Function to clear the block addresses of an Inode, without freeing the blocks
+function clearBlockAddresses(inode) {
+    inode.blockAddresses.fill(null);
+    INDIRECTION_FIELDS.forEach((field) => { inode[field] = null; });
+}
+
+// Function to release every block of a file, including its indirection blocks
+function releaseFileBlocks(disk, inode) {
+    for (const address of getFileLayout(disk, inode)) {
+        freeBlock(disk, address);
+    }
+
+    clearBlockAddresses(inode);
+    writeInode(disk, inode);
+}
+
+// Function to add the data block at an index of a file, after its last block: in the Inode for the first 10 blocks,
+// in an indirection block for the others. The data block, and before it each missing indirection block on its
+// path, are taken from takeBlock in the order the file lays them out; new indirection blocks are zeroed
+// Returns the address of the data block
+function addFileBlock(disk, inode, index, takeBlock) {
+    if (index < DIRECT_BLOCKS) {
+        inode.blockAddresses[index] = takeBlock();
+        return inode.blockAddresses[index];
+    }
+
+    // Find the indirection level of the block, and its position among the blocks under that level
+    let position = index - DIRECT_BLOCKS;
+    let level = 1;
+    while (position >= POINTERS_PER_BLOCK ** level) {
+        position -= POINTERS_PER_BLOCK ** level;
+        level++;
+    }
+
+    const takeIndirectionBlock = () => {
+        const address = takeBlock();
+        disk.write(address, Buffer.alloc(BLOCK_SIZE));
+        return address;
+    };
+
+    const field = INDIRECTION_FIELDS[level - 1];
+    if (inode[field] === null) {
+        inode[field] = takeIndirectionBlock();
+    }
+
+    // Go down one indirection block per level, the pointer to follow being a digit of the position in base
+    // POINTERS_PER_BLOCK, until the block pointing to the data block
+    let address = inode[field];
+    for (let depth = level - 1; depth >= 0; depth--) {
+        const offset = (Math.floor(position / POINTERS_PER_BLOCK ** depth) % POINTERS_PER_BLOCK) * 4;
+        const block = disk.read(address);
+        let pointer = block.readUInt32LE(offset);
+
+        if (pointer === 0) {
+            pointer = depth > 0 ? takeIndirectionBlock() : takeBlock();
+            block.writeUInt32LE(pointer, offset);
+            disk.write(address, block);
+        }
+        address = pointer;
+    }
+
+    return address;
+}
+
+// Function to set the blocks of a file, with the given number of data blocks, to a layout in the order of
+// walkFileBlocks, rebuilding its indirection blocks
+function buildFileBlocks(disk, inode, numBlocks, layout) {
+    let next = 0;
+
+    clearBlockAddresses(inode);
+    for (let i = 0; i < numBlocks; i++) {
+        addFileBlock(disk, inode, i, () => layout[next++]);
+    }
+}
+
+// Function to count the indirection blocks needed by a file of the given number of data blocks
+function countIndirectionBlocks(numBlocks) {
+    let count = 0;
+    let remaining = numBlocks - DIRECT_BLOCKS;
+
+    // Each level covers the data blocks left by the previous ones, with one block at its top and, at each depth
+    // below it, one block per POINTERS_PER_BLOCK ** height data blocks
+    for (let level = 1; level <= INDIRECTION_FIELDS.length && remaining > 0; level++) {
+        const covered = Math.min(remaining, POINTERS_PER_BLOCK ** level);
+        for (let height = level; height > 0; height--) {
+            count += Math.ceil(covered / POINTERS_PER_BLOCK ** height);
+        }
+        remaining -= covered;
+    }
+
+    return count;
+}
+
+// Function to count the blocks taken by a file of the given size, including its indirection blocks
+function countFileBlocks(size) {
+    const numBlocks = Math.ceil(size / BLOCK_SIZE);
+    return numBlocks + countIndirectionBlocks(numBlocks);
+}
+
+// Function to check that a file of the given size in bytes can be addressed by an Inode
+function checkFileSize(size) {
+    if (size > MAX_FILE_SIZE) {
+        throw new FileSystemError('EFBIG', `File too large. The maximum file size is ${MAX_FILE_SIZE} bytes.`);
+    }
+}
+
+// Function to replace the content of a file, reusing the disk blocks referenced by its Inode
+function writeFileData(disk, inode, content) {
+    const size = Buffer.byteLength(content);
+    checkFileSize(size);
+
+    // Blocks already owned by the file, including its indirection blocks, are rewritten in place; only the blocks it
+    // grows by are allocated, and the ones past its new end freed
+    const ownedBlocks = getFileLayout(disk, inode).length;
+    const requiredBlocks = countFileBlocks(size);
+    const { freeBlocks } = readSuperblock(disk);
+
+    if (requiredBlocks > freeBlocks + ownedBlocks) {
+        throw new FileSystemError('ENOSPC', 'Not enough space on the disk.');
+    }
+
+    shrinkFileBlocks(disk, inode, Math.ceil(size / BLOCK_SIZE));
+    inode.size = 0;
+    writeFileRange(disk, inode, 0, content);
+}
+
+// Function to cut a file down to at most the given number of data blocks, freeing the data and indirection blocks
+// past them; the blocks kept are the start of its layout, which holds its first data blocks and the indirection
+// blocks pointing to them
+function shrinkFileBlocks(disk, inode, numBlocks) {
+    const { layout, dataBlocks } = walkFileBlocks(disk, inode);
+
+    if (numBlocks >= dataBlocks.length) {
+        return;
+    } else if (numBlocks === 0) {
+        releaseFileBlocks(disk, inode);
+        return;
+    }
+
+    const kept = layout.slice(0, numBlocks + countIndirectionBlocks(numBlocks));
+    layout.slice(kept.length).forEach((address) => freeBlock(disk, address));
+    buildFileBlocks(disk, inode, numBlocks, kept);
+    writeInode(disk, inode);
+}
+
+// Function to grow a file to at least the given number of data blocks, returning its data blocks; the new data blocks
+// are zeroed, and allocated with the indirection blocks they need in the order the file uses them (each indirection
+// block comes before the first data block it points to) after its last block
+function growFileBlocks(disk, inode, numBlocks) {
+    const { layout, dataBlocks: blocks } = walkFileBlocks(disk, inode);
+    const totalBlocks = Math.max(blocks.length, numBlocks);
+    const requiredBlocks = totalBlocks + countIndirectionBlocks(totalBlocks) - layout.length;
+    const newBlocks = allocateBlocks(disk, requiredBlocks, layout.length > 0 ? layout[layout.length - 1] + 1 : null);
+
+    for (let i = blocks.length; i < totalBlocks; i++) {
+        const address = addFileBlock(disk, inode, i, () => newBlocks.shift());
+        disk.write(address, Buffer.alloc(BLOCK_SIZE));
+        blocks.push(address);
+    }
+
+    return blocks;
+}
+
+// Function to give an empty file the given size, filled with zeros, without building its content in memory
+function writeZeroData(disk, inode, size) {
+    checkFileSize(size);
+    growFileBlocks(disk, inode, Math.ceil(size / BLOCK_SIZE));
+    inode.size = size;
+    writeInode(disk, inode);
+}
+
+// Function to write data into a file at a byte offset, growing the file with new blocks when the data goes past
+// its end; a gap between the end of the file and the offset is filled with zeros
+function writeFileRange(disk, inode, offset, content) {
+    let data = Buffer.from(content);
+    const end = offset + data.length;
+    checkFileSize(end);
+
+    const blocks = growFileBlocks(disk, inode, Math.ceil(end / BLOCK_SIZE));
+
+    // The gap is only filled once the blocks are allocated, so that a write too large for the disk fails before
+    // building it
+    if (offset > inode.size) {
+        data = Buffer.concat([Buffer.alloc(offset - inode.size), data]);
+        offset = inode.size;
+    }
+
+    // Copy the data into each block it covers
+    for (let position = offset; position < end;) {
+        const blockOffset = position % BLOCK_SIZE;
+        const length = Math.min(BLOCK_SIZE - blockOffset, end - position);
+        const address = blocks[Math.floor(position / BLOCK_SIZE)];
+        const block = disk.read(address);
+        data.copy(block, blockOffset, position - offset, position - offset + length);
+        disk.write(address, block);
+        position += length;
+    }
+
+    inode.size = Math.max(inode.size, end);
+    writeInode(disk, inode);
+}
+
+// Function to read the content of a file back from the disk blocks referenced by its Inode
+function readFileData(disk, inode) {
+    return readFileRange(disk, inode, 0, inode.size).toString();
+}
+
+// Function to read up to length bytes of a file from a byte offset (fewer at the end of the file)
+function readFileRange(disk, inode, offset, length) {
+    const end = Math.min(inode.size, offset + length);
+
+    if (offset >= end) {
+        return Buffer.alloc(0);
+    }
+
+    const firstBlock = Math.floor(offset / BLOCK_SIZE);
+    const blocks = getFileBlocks(disk, inode).slice(firstBlock, Math.ceil(end / BLOCK_SIZE)).map((address) => disk.read(address));
+    return Buffer.concat(blocks).subarray(offset - firstBlock * BLOCK_SIZE, end - firstBlock * BLOCK_SIZE);
+}
+
+// Function to list the entries of a directory tree owned by a user, with their parent directory and path
+// The contents of an owned directory are listed too
+function findOwnedEntries(directory, userId, path = '') {
+    const owned = [];
+
+    for (const entry of [...Object.values(directory.subdirectories), ...Object.values(directory.files)]) {
+        const entryPath = `${path}/${entry.name}`;
+        if (entry.inode.ownerId === userId) {
+            owned.push({ parent: directory, entry, path: entryPath });
+        }
+        if (entry instanceof Directory) {
+            owned.push(...findOwnedEntries(entry, userId, entryPath));
+        }
+    }
+
+    return owned;
+}
+
+// Function to count the blocks and Inodes owned by each user, indexed by user ID, from the Inode table
+function countUsage(disk) {
+    const superblock = readSuperblock(disk);
+    const usage = {};
+
+    for (let id = 0; id < superblock.inodeCount; id++) {
+        const { block, offset } = locateInode(disk, id);
+
+        // Skip free Inodes and the reserved Inode of the user table
+        if (block.readUInt8(offset) === 0 || id === superblock.usersInode) {
+            continue;
+        }
+
+        const { ownerId, size } = readInode(disk, id);
+        usage[ownerId] = usage[ownerId] || { blocks: 0, inodes: 0 };
+        usage[ownerId].blocks += countFileBlocks(size);
+        usage[ownerId].inodes++;
+    }
+
+    return usage;
+}
+
+// Function to free every block and Inode of a file or directory tree
+// A file with other hard links only loses one link, and its data is kept until the last link is removed
+function releaseEntry(disk, entry) {
+    if (entry instanceof Directory) {
+        Object.values(entry.subdirectories).forEach((subdirectory) => releaseEntry(disk, subdirectory));
+        Object.values(entry.files).forEach((file) => releaseEntry(disk, file));
+    } else if (entry.inode.linkCount > 1) {
+        entry.inode.linkCount--;
+        writeInode(disk, entry.inode);
+        return;
+    }
+
+    releaseFileBlocks(disk, entry.inode);
+    releaseInode(disk, entry.inode);
+}
+
+// Function to check the consistency of the file system against the disk blocks, returning the problems found
+// When repair is true, each problem is fixed: bad entries are dropped, files are truncated to their valid blocks,
+// orphaned blocks are freed, orphaned Inodes are moved into /lost+found and the superblock counters are rebuilt
+// Owners and groups are checked against the given user and group tables, and /lost+found is created at the given time
+function checkFileSystem(disk, repair, users, groups, time) {
+    const problems = [];
+    const superblock = readSuperblock(disk);
+    const blockOwners = {}; // Block address -> ID of the Inode using it
+    const referenced = {}; // Inode ID -> number of directory entries pointing to it
+    const subdirectoryCounts = {}; // Inode ID of a directory -> number of subdirectories, whose ".." entries point to it
+    const inodes = {}; // Inode ID -> Inode shared by the entries pointing to it
+    const modifiedDirectories = [];
+
+    // Check the blocks of an Inode, truncating it at the first invalid or shared block (or indirection block)
+    const checkBlocks = (inode, label) => {
+        const accept = (address) => {
+            if (address < superblock.dataStart || address >= superblock.totalBlocks || blockOwners[address] !== undefined) {
+                return false;
+            }
+            blockOwners[address] = inode.id;
+            return true;
+        };
+
+        const { layout, dataBlocks, rejected } = walkFileBlocks(disk, inode, accept);
+        if (rejected) {
+            problems.push(`${label}: invalid or shared ${rejected.indirection ? 'indirection block' : 'block'} ${rejected.address}.`);
+        }
+
+        const validBlocks = dataBlocks.length;
+        const expectedBlocks = Math.ceil(inode.size / BLOCK_SIZE);
+        if (expectedBlocks !== validBlocks) {
+            problems.push(`${label}: size ${inode.size} does not match its ${validBlocks} valid block(s).`);
+        }
+
+        if (!repair || (!rejected && expectedBlocks === validBlocks)) {
+            return;
+        }
+
+        // Keep only the valid blocks covered by the size, with the indirection blocks laid out before the last of
+        // them; the others become orphaned blocks freed below
+        const keptBlocks = Math.min(validBlocks, expectedBlocks);
+        const keptLayout = keptBlocks > 0 ? layout.slice(0, layout.indexOf(dataBlocks[keptBlocks - 1]) + 1) : [];
+        layout.slice(keptLayout.length).forEach((address) => delete blockOwners[address]);
+
+        buildFileBlocks(disk, inode, keptBlocks, keptLayout);
+        inode.size = Math.min(inode.size, keptBlocks * BLOCK_SIZE);
+        writeInode(disk, inode);
+    };
+
+    // Check the owner and group of an Inode, giving it to the admin user or group if they no longer exist
+    const checkOwner = (inode, label) => {
+        if (!users[inode.ownerId]) {
+            problems.push(`${label}: owned by unknown user ID ${inode.ownerId}.`);
+            if (repair) {
+                inode.changeOwner(0);
+                writeInode(disk, inode);
+            }
+        }
+
+        if (!groups[inode.groupId]) {
+            problems.push(`${label}: belongs to unknown group ID ${inode.groupId}.`);
+            if (repair) {
+                inode.changeGroup(ADMIN_GROUP_ID);
+                writeInode(disk, inode);
+            }
+        }
+    };
+
+    // Walk a directory, rebuilding its subtree and dropping entries that point to invalid or already used Inodes
+    const walk = (directory, path) => {
+        let modified = false;
+
+        for (const { inodeId, name } of readDirectoryEntries(disk, directory.inode)) {
+            const entryPath = `${path === '/' ? '' : path}/${name}`;
+            const inode = inodeId < superblock.inodeCount ? readInode(disk, inodeId) : null;
+
+            if (!inode || inodeId === superblock.rootInode || inodeId === superblock.usersInode) {
+                problems.push(`Entry "${entryPath}" points to an invalid or free Inode ${inodeId}.`);
+                modified = true;
+                continue;
+            } else if (referenced[inodeId] && inode.fileType === 'directory') {
+                problems.push(`Entry "${entryPath}" points to directory Inode ${inodeId}, which is already linked elsewhere.`);
+                modified = true;
+                continue;
+            } else if (directory.hasEntry(name)) {
+                problems.push(`Entry "${entryPath}" is duplicated.`);
+                modified = true;
+                continue;
+            }
+
+            // Further hard links to a file share the Inode already checked
+            if (referenced[inodeId]) {
+                referenced[inodeId]++;
+                directory.addFile(createEntry(name, inodes[inodeId]));
+                continue;
+            }
+
+            referenced[inodeId] = 1;
+            inodes[inodeId] = inode;
+            checkBlocks(inode, `Inode ${inodeId} ("${entryPath}")`);
+            checkOwner(inode, `Inode ${inodeId} ("${entryPath}")`);
+
+            const entry = createEntry(name, inode);
+            if (entry instanceof Directory) {
+                directory.addSubdirectory(entry);
+                subdirectoryCounts[directory.inode.id] = (subdirectoryCounts[directory.inode.id] || 0) + 1;
+                walk(entry, entryPath);
+            } else {
+                directory.addFile(entry);
+            }
+        }
+
+        if (modified) {
+            modifiedDirectories.push(directory);
+        }
+    };
+
+    const rootInode = readInode(disk, superblock.rootInode);
+    const usersInode = readInode(disk, superblock.usersInode);
+    if (!rootInode || rootInode.fileType !== 'directory' || !usersInode) {
+        problems.push('The root directory or user table Inode is missing. The file system cannot be checked.');
+        return problems;
+    }
+
+    const rootDirectory = new Directory('/', rootInode);
+    // The ".." entry of the root directory points to the root directory itself
+    referenced[rootInode.id] = 1;
+    inodes[rootInode.id] = rootInode;
+    checkBlocks(usersInode, 'User table');
+    checkBlocks(rootInode, 'Root directory');
+    walk(rootDirectory, '/');
+
+    // Allocated Inodes that no directory entry reaches are orphans (the subtree of an orphaned directory comes along)
+    const orphans = [];
+    let allocatedInodes = 0;
+    for (let id = 0; id < superblock.inodeCount; id++) {
+        const inode = readInode(disk, id);
+        if (!inode) {
+            continue;
+        }
+
+        allocatedInodes++;
+        if (id === superblock.rootInode || id === superblock.usersInode || referenced[id]) {
+            continue;
+        }
+
+        // An orphan gets a single link once it is moved into /lost+found
+        problems.push(`Inode ${id} (${inode.fileType}) is not linked in any directory.`);
+        referenced[id] = 1;
+        inodes[id] = inode;
+        checkBlocks(inode, `Inode ${id}`);
+        checkOwner(inode, `Inode ${id}`);
+
+        const orphan = createEntry(`#${id}`, inode);
+        if (orphan instanceof Directory) {
+            walk(orphan, `#${id}`);
+        }
+        orphans.push(orphan);
+    }
+
+    // The link count of each Inode must match the directory entries pointing to it, counting the "." entry of a
+    // directory and the ".." entries of its subdirectories
+    for (const id of Object.keys(inodes)) {
+        const inode = inodes[id];
+        const links = referenced[id] + (inode.fileType === 'directory' ? 1 + (subdirectoryCounts[id] || 0) : 0);
+
+        if (inode.linkCount !== links) {
+            problems.push(`Inode ${id} has a link count of ${inode.linkCount}, but ${links} directory entry(ies) point to it.`);
+            if (repair) {
+                inode.linkCount = links;
+                writeInode(disk, inode);
+            }
+        }
+    }
+
+    // Compare the bitmap with the blocks actually in use
+    let usedBlocks = 0;
+    for (let address = 0; address < superblock.totalBlocks; address++) {
+        const inUse = address < superblock.dataStart || blockOwners[address] !== undefined;
+        usedBlocks += inUse ? 1 : 0;
+
+        if (inUse && !isBlockUsed(disk, address)) {
+            problems.push(`Block ${address} is in use but marked as free in the bitmap.`);
+        } else if (!inUse && isBlockUsed(disk, address)) {
+            problems.push(`Block ${address} is marked as used but belongs to no file.`);
+        } else {
+            continue;
+        }
+
+        if (repair) {
+            setBlockUsed(disk, address, inUse);
+        }
+    }
+
+    if (superblock.freeBlocks !== superblock.totalBlocks - usedBlocks || superblock.freeInodes !== superblock.inodeCount - allocatedInodes) {
+        problems.push(`Superblock counters are wrong (free blocks ${superblock.freeBlocks}, expected ${superblock.totalBlocks - usedBlocks}; free Inodes ${superblock.freeInodes}, expected ${superblock.inodeCount - allocatedInodes}).`);
+    }
+
+    if (!repair) {
+        return problems;
+    }
+
+    // The counters must be right before anything else is allocated
+    superblock.freeBlocks = superblock.totalBlocks - usedBlocks;
+    superblock.freeInodes = superblock.inodeCount - allocatedInodes;
+    writeSuperblock(disk, superblock);
+
+    modifiedDirectories.forEach((directory) => writeDirectory(disk, directory));
+
+    if (orphans.length > 0) {
+        let lostAndFound = rootDirectory.subdirectories['lost+found'];
+
+        if (!lostAndFound && !rootDirectory.hasEntry('lost+found')) {
+            // A full Inode table or disk leaves the orphans unlinked
+            let lostAndFoundInode = null;
+            try {
+                lostAndFoundInode = allocateInode(disk, 0, ADMIN_GROUP_ID, 'directory', time);
+                lostAndFound = new Directory('lost+found', lostAndFoundInode);
+                linkEntry(disk, rootDirectory, lostAndFound, time);
+            } catch (error) {
+                if (lostAndFoundInode) {
+                    releaseInode(disk, lostAndFoundInode);
+                }
+                lostAndFound = null;
+            }
+        }
+
+        if (lostAndFound) {
+            orphans.forEach((orphan) => {
+                try {
+                    linkEntry(disk, lostAndFound, orphan, time);
+                } catch (error) {
+                    problems.push(`Could not move Inode ${orphan.inode.id} into /lost+found: ${error.message}`);
+                }
+            });
+        } else {
+            problems.push('Could not create /lost+found. Orphaned Inodes were left unlinked.');
+        }
+    }
+
+    return problems;
+}
+
+// Function to hash a password with its salt (both as hex strings) using scrypt
+function hashPassword(password, salt) {
+    return crypto.scryptSync(password, Buffer.from(salt, 'hex'), PASSWORD_HASH_SIZE).toString('hex');
+}
+
+// Function to check that a new username is valid
+function validateUsername(username) {
+    if (username === '') {
+        throw new FileSystemError('EINVAL', 'Username cannot be empty.');
+    } else if (username.length > MAX_USERNAME_LENGTH) {
+        throw new FileSystemError('EINVAL', `Username "${username}" is too long. The maximum length is ${MAX_USERNAME_LENGTH} characters.`);
+    } else if (!USERNAME_PATTERN.test(username)) {
+        throw new FileSystemError('EINVAL', `Invalid username "${username}": use letters, digits, "_" and "-", starting with a letter or "_".`);
+    }
+}
+
+// Function to check that a new password can be used
+function validatePassword(password) {
+    if (password === '') {
+        throw new FileSystemError('EINVAL', 'Password cannot be empty.');
+    }
+}
+
+// Function to list, in address order, the blocks written through the cache whose content on the disk differs from
+// their original content (the journal is written under the cache, so its blocks are never among them)
+function findChangedBlocks(disk, originals) {
+    return [...originals.keys()]
+        .filter((address) => !disk.blocks[address].equals(originals.get(address)))
+        .sort((a, b) => a - b);
+}
+
+// Function to find which of the changed blocks hold file data: the data blocks of the files and symbolic links whose
+// Inodes changed (directories, indirection blocks and the other blocks are metadata)
+function findDataBlocks(disk, superblock, changed) {
+    const { inodeTableStart, inodeTableBlocks } = superblock;
+    const changedBlocks = new Set(changed);
+    const dataBlocks = new Set();
+
+    for (const address of changed.filter((address) => address >= inodeTableStart && address < inodeTableStart + inodeTableBlocks)) {
+        for (let i = 0; i < INODES_PER_BLOCK; i++) {
+            const fileType = disk.read(address).readUInt8(i * INODE_SIZE);
+
+            if (fileType === FILE_TYPE_CODES.file || fileType === FILE_TYPE_CODES.symlink) {
+                const inode = readInode(disk, (address - inodeTableStart) * INODES_PER_BLOCK + i);
+                getFileBlocks(disk, inode).filter((block) => changedBlocks.has(block)).forEach((block) => dataBlocks.add(block));
+            }
+        }
+    }
+
+    return changed.filter((address) => dataBlocks.has(address));
+}
+
+// Function to plan the block writes of a transaction, in the order they reach the disk, each one with its step:
+// in ordered mode the file data is written in place ("data"), then the other changed blocks are logged to the journal
+// after descriptor blocks listing their home addresses ("journal"), the commit block seals the transaction ("commit"),
+// the logged blocks are written to their home locations ("checkpoint") and the journal is cleared ("clear")
+// Data journaling falls back to ordered writes, and then to unprotected writes in place, when the journal is too small
+// The journal is written under the cache, directly to the blocks of the disk
+function planTransactionWrites(disk, superblock, changed, sequence) {
+    const inPlace = (addresses, step) => addresses.map((address) => ({ address, content: Buffer.from(disk.blocks[address]), step }));
+    const fits = (count) => Math.ceil(count / ADDRESSES_PER_DESCRIPTOR) + count + 1 <= superblock.journalBlocks;
+
+    if (superblock.journalMode === JOURNAL_MODES.none) {
+        return inPlace(changed, 'checkpoint');
+    }
+
+    let dataBlocks = superblock.journalMode === JOURNAL_MODES.ordered ? findDataBlocks(disk, superblock, changed) : [];
+    if (!fits(changed.length - dataBlocks.length)) {
+        dataBlocks = findDataBlocks(disk, superblock, changed);
+    }
+
+    const logged = changed.filter((address) => !dataBlocks.includes(address));
+    if (logged.length === 0 || !fits(logged.length)) {
+        return [...inPlace(dataBlocks, 'data'), ...inPlace(logged, 'checkpoint')];
+    }
+
+    const descriptors = Array.from({ length: Math.ceil(logged.length / ADDRESSES_PER_DESCRIPTOR) }, (_, i) => {
+        const descriptor = createJournalBlock(JOURNAL_DESCRIPTOR_MAGIC, sequence, logged.length);
+        logged.slice(i * ADDRESSES_PER_DESCRIPTOR, (i + 1) * ADDRESSES_PER_DESCRIPTOR).forEach((address, j) => {
+            descriptor.writeUInt32LE(address, JOURNAL_HEADER_SIZE + j * 4);
+        });
+        return descriptor;
+    });
+
+    const commit = createJournalBlock(JOURNAL_COMMIT_MAGIC, sequence, logged.length);
+    checksumTransaction(logged, logged.map((address) => disk.blocks[address])).copy(commit, JOURNAL_HEADER_SIZE);
+
+    // Clearing the magic number of the first descriptor block empties the journal, keeping the sequence number
+    const cleared = Buffer.from(descriptors[0]);
+    cleared.writeUInt32LE(0, 0);
+
+    const loggedStart = superblock.journalStart + descriptors.length;
+    return [
+        ...inPlace(dataBlocks, 'data'),
+        ...descriptors.map((content, i) => ({ address: superblock.journalStart + i, content, step: 'journal' })),
+        ...logged.map((address, i) => ({ address: loggedStart + i, content: Buffer.from(disk.blocks[address]), step: 'journal' })),
+        { address: loggedStart + logged.length, content: commit, step: 'commit' },
+        ...inPlace(logged, 'checkpoint'),
+        { address: superblock.journalStart, content: cleared, step: 'clear' },
+    ];
+}
+
+// Function to create a journal block starting with a magic number, the sequence number of the transaction and the
+// number of logged blocks
+function createJournalBlock(magic, sequence, count) {
+    const block = Buffer.alloc(BLOCK_SIZE);
+    block.writeUInt32LE(magic, 0);
+    block.writeUInt32LE(sequence, 4);
+    block.writeUInt32LE(count, 8);
+    return block;
+}
+
+// Function to compute the SHA-256 checksum of the home addresses and contents of the logged blocks of a transaction
+function checksumTransaction(addresses, blocks) {
+    const hash = crypto.createHash('sha256');
+
+    addresses.forEach((address, i) => {
+        const addressBytes = Buffer.alloc(4);
+        addressBytes.writeUInt32LE(address);
+        hash.update(addressBytes);
+        hash.update(blocks[i]);
+    });
+
+    return hash.digest();
+}
+
+// Function to count the writes of a transaction that reach the disk before power is lost at a crash point
+function findCrashIndex(writes, crashPoint) {
+    const steps = [...CRASH_POINTS, 'clear'];
+    const startOf = (step) => {
+        const index = writes.findIndex((write) => steps.indexOf(write.step) >= steps.indexOf(step));
+        return index === -1 ? writes.length : index;
+    };
+    const half = (step) => Math.floor(writes.filter((write) => write.step === step).length / 2);
+
+    return {
+        data: startOf('data') + half('data'),
+        journal: startOf('commit'),
+        commit: startOf('checkpoint'),
+        checkpoint: startOf('checkpoint') + half('checkpoint'),
+    }[crashPoint];
+}
+
+// Function to recover the journal of a disk being mounted: a transaction with a valid commit block is written to its
+// home locations, an incomplete one is discarded, and the journal is cleared
+// Returns the sequence number and block count of the transaction found and whether it was replayed, or null if the
+// journal was empty
+// The journal is read under the cache; replayed blocks go through it and are synced before the journal is cleared
+function replayJournal(disk) {
+    const { journalStart, journalBlocks, totalBlocks } = readSuperblock(disk);
+    const journal = disk.blocks;
+
+    if (journalBlocks === 0 || journal[journalStart].readUInt32LE(0) !== JOURNAL_DESCRIPTOR_MAGIC) {
+        return null;
+    }
+
+    const sequence = journal[journalStart].readUInt32LE(4);
+    const count = journal[journalStart].readUInt32LE(8);
+    const descriptorCount = Math.ceil(count / ADDRESSES_PER_DESCRIPTOR);
+    let replayed = count > 0 && descriptorCount + count + 1 <= journalBlocks;
+
+    if (replayed) {
+        const addresses = Array.from({ length: count }, (_, i) => journal[journalStart + Math.floor(i / ADDRESSES_PER_DESCRIPTOR)]
+            .readUInt32LE(JOURNAL_HEADER_SIZE + (i % ADDRESSES_PER_DESCRIPTOR) * 4));
+        const blocks = addresses.map((_, i) => journal[journalStart + descriptorCount + i]);
+        const commit = journal[journalStart + descriptorCount + count];
+
+        replayed = commit.readUInt32LE(0) === JOURNAL_COMMIT_MAGIC && commit.readUInt32LE(4) === sequence && commit.readUInt32LE(8) === count
+            && commit.subarray(JOURNAL_HEADER_SIZE, JOURNAL_HEADER_SIZE + 32).equals(checksumTransaction(addresses, blocks))
+            && addresses.every((address) => address < totalBlocks && (address < journalStart || address >= journalStart + journalBlocks));
+
+        if (replayed) {
+            addresses.forEach((address, i) => disk.write(address, Buffer.from(blocks[i])));
+            disk.sync();
+        }
+    }
+
+    journal[journalStart].writeUInt32LE(0, 0);
+    return { sequence, blocks: count, replayed };
+}
+
+// Function to read the sequence number of the last transaction written to the journal (0 without a journal)
+function readJournalSequence(disk) {
+    const { journalStart, journalBlocks } = readSuperblock(disk);
+    return journalBlocks > 0 ? disk.blocks[journalStart].readUInt32LE(4) : 0;
+}
+
+// Function to split a path into normalized components, resolving '.', '..' and repeated slashes
+function normalizePath(path, currentPath = '/') {
+    // Relative paths are resolved from the current working directory
+    const fullPath = path.startsWith('/') ? path : `${currentPath}/${path}`;
+    const components = [];
+
+    for (const component of fullPath.split('/')) {
+        if (component === '' || component === '.') {
+            continue;
+        } else if (component === '..') {
+            // Going above the root directory stays at the root directory
+            components.pop();
+        } else {
+            components.push(component);
+        }
+    }
+
+    return components;
+}
+
+// Function to build an absolute path string from its components
+function formatPath(components) {
+    return `/${components.join('/')}`;
+}
+
+// Function to join a directory path and an entry name
+function joinPath(directoryPath, name) {
+    return directoryPath.endsWith('/') ? `${directoryPath}${name}` : `${directoryPath}/${name}`;
+}
+
+// Function to convert a glob pattern into a regular expression matching a whole name: "*" matches any characters,
+// "?" any single character and "[...]" one character of a set ("[!...]" or "[^...]": one character out of it), and
+// "\" makes the next character literal; throws EINVAL for an invalid set
+function globToRegExp(pattern) {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const setStart = pattern[i + 1] === '!' || pattern[i + 1] === '^' ? i + 2 : i + 1;
+        // A "]" right after the opening of a set is part of it
+        const setEnd = char === '[' ? pattern.indexOf(']', setStart + 1) : -1;
+
+        if (char === '*') {
+            source += '.*';
+        } else if (char === '?') {
+            source += '.';
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            source += escape(pattern[++i]);
+        } else if (setEnd !== -1) {
+            source += `[${setStart === i + 2 ? '^' : ''}${pattern.slice(setStart, setEnd).replace(/[\\\]^]/g, '\\$&')}]`;
+            i = setEnd;
+        } else {
+            source += escape(char);
+        }
+    }
+
+    try {
+        return new RegExp(`^${source}$`, 's');
+    } catch (error) {
+        throw new FileSystemError('EINVAL', `Invalid pattern "${pattern}".`);
+    }
+}
+
+// Function to compute a new mode from an octal mode (e.g. "755", "1777") or symbolic clauses (e.g. "u+x,g-w,o=r")
+// applied to the current mode; returns null when the mode is invalid
+function parseMode(modeString, currentMode, isDirectory) {
+    if (/^[0-7]{1,4}$/.test(modeString)) {
+        return parseInt(modeString, 8);
+    }
+
+    const shifts = { u: 6, g: 3, o: 0 };
+    const specialBits = { u: SETUID_BIT, g: SETGID_BIT, o: STICKY_BIT };
+    let mode = currentMode;
+
+    for (const clause of modeString.split(',')) {
+        const match = /^([ugoa]*)((?:[-+=][rwxXst]*)+)$/.exec(clause);
+        if (!match) {
+            return null;
+        }
+
+        // No class, or "a", means all of them
+        const classes = match[1] === '' || match[1].includes('a') ? 'ugo' : match[1];
+
+        for (const [, operator, letters] of match[2].matchAll(/([-+=])([rwxXst]*)/g)) {
+            let bits = 0;
+            let affected = 0;
+
+            for (const permissionClass of classes) {
+                const shift = shifts[permissionClass];
+                affected |= (7 << shift) | specialBits[permissionClass];
+
+                bits |= letters.includes('r') ? 4 << shift : 0;
+                bits |= letters.includes('w') ? 2 << shift : 0;
+                // "X" sets execute only on directories or when someone can already execute
+                bits |= letters.includes('x') || (letters.includes('X') && (isDirectory || (mode & 0o111) !== 0)) ? 1 << shift : 0;
+                // "s" is setuid for the user and setgid for the group, "t" is the sticky bit for others
+                bits |= letters.includes('s') && permissionClass !== 'o' ? specialBits[permissionClass] : 0;
+                bits |= letters.includes('t') && permissionClass === 'o' ? STICKY_BIT : 0;
+            }
+
+            if (operator === '+') {
+                mode |= bits;
+            } else if (operator === '-') {
+                mode &= ~bits;
+            } else {
+                mode = (mode & ~affected) | bits;
+            }
+        }
+    }
+
+    return mode;
+}
+
+// Function to format the type and mode bits of an Inode as in "ls -l" (e.g. "drwxr-xr-x", "-rwsr-x---", "lrwxrwxrwx")
+// An "s" or "t" replaces the execute permission it is combined with, in capitals when execute is not set
+function formatMode(fileType, mode) {
+    const typeLetters = { directory: 'd', file: '-', symlink: 'l' };
+    const specialLetters = [[SETUID_BIT, 's'], [SETGID_BIT, 's'], [STICKY_BIT, 't']];
+
+    return typeLetters[fileType] + PERMISSION_CLASSES.map((_, i) => {
+        const bits = (mode >> (6 - i * 3)) & 7;
+        const [specialBit, specialLetter] = specialLetters[i];
+        let execute = bits & 1 ? 'x' : '-';
+
+        if (mode & specialBit) {
+            execute = bits & 1 ? specialLetter : specialLetter.toUpperCase();
+        }
+
+        return `${bits & 4 ? 'r' : '-'}${bits & 2 ? 'w' : '-'}${execute}`;
+    }).join('');
+}
+
+module.exports = {
+    FileSystem,
+    FileSystemError,
+    parseMode,
+    validateUsername,
+    formatMode,
+    BLOCK_SIZE,
+    MAX_FILE_BLOCKS,
+    MAX_FILE_SIZE,
+    joinPath,
+    MIN_DISK_SIZE,
+    MAX_DISK_SIZE,
+    DEFAULT_ADMIN_PASSWORD,
+};
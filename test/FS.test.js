@@ -0,0 +1,84 @@
+// Tests of the shell in batch mode, run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SHELL_PATH = path.join(__dirname, '..', 'FS.js');
+
+// Function to run the shell in a directory with the given startup options, feeding it a script on the standard input
+function runShell(directory, args, lines) {
+    return childProcess.spawnSync(process.execPath, [SHELL_PATH, ...args, '--script', '-'], {
+        cwd: directory,
+        input: lines.join('\n'),
+        encoding: 'utf8',
+        timeout: 30000,
+    });
+}
+
+// Function to run a test in a new temporary directory, removed afterwards
+function withDirectory(run) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-shell-test-'));
+    try {
+        run(directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('a script runs its commands on a new disk and saves it on shutdown', () => {
+    withDirectory((directory) => {
+        const result = runShell(directory, ['--size', '65536'], ['admin', '1234', 'mkdir /docs', '# a comment', '', 'echo hello > /docs/a', 'cat /docs/a', 'shutdown']);
+
+        assert.strictEqual(result.status, 0, result.stdout);
+        assert.match(result.stdout, /--- Content ---\nhello\n/);
+        assert.ok(fs.existsSync(path.join(directory, 'disk.img')));
+
+        const mounted = runShell(directory, ['--mount', 'disk.img'], ['admin', '1234', 'cat /docs/a']);
+        assert.strictEqual(mounted.status, 0, mounted.stdout);
+        assert.match(mounted.stdout, /--- Content ---\nhello\n/);
+    });
+});
+
+test('a script stops at the first failed command unless told to continue', () => {
+    withDirectory((directory) => {
+        const stopped = runShell(directory, ['--size', '65536'], ['admin', '1234', 'rm /missing', 'mkdir /after']);
+        assert.strictEqual(stopped.status, 1);
+        assert.match(stopped.stdout, /Script stopped at line 3 because the command failed\./);
+        assert.doesNotMatch(stopped.stdout, /mkdir \/after/);
+
+        const continued = runShell(directory, ['--size', '65536', '--continue-on-error'], ['admin', '1234', 'rm /missing', 'mkdir /after']);
+        assert.strictEqual(continued.status, 1);
+        assert.match(continued.stdout, /Directory "\/after" created successfully\./);
+    });
+});
+
+test('a script does not overwrite an existing disk image unless forced', () => {
+    withDirectory((directory) => {
+        const imagePath = path.join(directory, 'disk.img');
+        fs.writeFileSync(imagePath, 'saved image');
+
+        const refused = runShell(directory, ['--size', '65536'], ['admin', '1234', 'mkdir /a', 'shutdown']);
+        assert.strictEqual(refused.status, 1);
+        assert.match(refused.stdout, /already exists .*"--force"/);
+        assert.doesNotMatch(refused.stdout, /\[y\/n\]/);
+        assert.strictEqual(fs.readFileSync(imagePath, 'utf8'), 'saved image');
+
+        const forced = runShell(directory, ['--size', '65536', '--force'], ['admin', '1234', 'mkdir /a', 'shutdown']);
+        assert.strictEqual(forced.status, 0, forced.stdout);
+        assert.strictEqual(fs.statSync(imagePath).size, 65536);
+    });
+});
+
+test('echo writes and appends lines that grep finds one at a time', () => {
+    withDirectory((directory) => {
+        const result = runShell(directory, ['--size', '65536'], ['admin', '1234', 'echo first > /f', 'echo second >> /f', 'echo third >> /f', 'grep second /f', 'cat /f']);
+
+        assert.strictEqual(result.status, 0, result.stdout);
+        assert.match(result.stdout, /grep second \/f\nsecond\n/);
+        assert.match(result.stdout, /--- Content ---\nfirst\nsecond\nthird\n---/);
+    });
+});
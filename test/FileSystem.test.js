@@ -0,0 +1,555 @@
+// Tests of the file system API, run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FileSystem, FileSystemError, BLOCK_SIZE, MIN_DISK_SIZE } = require('../FileSystem');
+
+// Function to create a small disk with the admin user logged in, with the options of FileSystem.create
+function createFileSystem(options = {}) {
+    const fileSystem = FileSystem.create(MIN_DISK_SIZE * 16, '1234', options);
+    fileSystem.login('admin', '1234');
+    return fileSystem;
+}
+
+// Function to mount a copy of the blocks on the disk of a file system, as after saving it to an image, with the
+// admin user logged in
+function remount(fileSystem, options = {}) {
+    const mounted = FileSystem.load(Buffer.concat(fileSystem.disk.blocks), options);
+    mounted.login('admin', '1234');
+    return mounted;
+}
+
+// Function to check that an operation throws a FileSystemError with the given code
+function assertCode(operation, code) {
+    assert.throws(operation, (error) => error instanceof FileSystemError && error.code === code);
+}
+
+test('writing through a dangling symbolic link creates its target', () => {
+    const fileSystem = createFileSystem();
+    fileSystem.mkdir('/d');
+    fileSystem.symlink('target', '/d/link');
+
+    assert.strictEqual(fileSystem.writeFile('/d/link', 'hello'), true);
+    assert.strictEqual(fileSystem.readFile('/d/target'), 'hello');
+    assert.strictEqual(fileSystem.readlink('/d/link'), 'target');
+});
+
+test('opening a chain of dangling symbolic links for writing creates the last target', () => {
+    const fileSystem = createFileSystem();
+    fileSystem.symlink('/second', '/first');
+    fileSystem.symlink('third', '/second');
+
+    fileSystem.appendFile('/first', 'data');
+    assert.strictEqual(fileSystem.readFile('/third'), 'data');
+});
+
+test('a dangling symbolic link into a missing directory is not created', () => {
+    const fileSystem = createFileSystem();
+    fileSystem.symlink('/missing/file', '/link');
+
+    assertCode(() => fileSystem.writeFile('/link', 'data'), 'ENOENT');
+});
+
+test('a directory counts its entry, its "." entry and the ".." entries of its subdirectories', () => {
+    const fileSystem = createFileSystem();
+    fileSystem.mkdir('/a/b', { parents: true });
+    fileSystem.mkdir('/c');
+
+    assert.strictEqual(fileSystem.stat('/').linkCount, 4);
+    assert.strictEqual(fileSystem.stat('/a').linkCount, 3);
+    assert.strictEqual(fileSystem.stat('/a/b').linkCount, 2);
+
+    fileSystem.rename('/a/b', '/c/b');
+    assert.strictEqual(fileSystem.stat('/a').linkCount, 2);
+    assert.strictEqual(fileSystem.stat('/c').linkCount, 3);
+
+    fileSystem.rmdir('/c/b');
+    assert.strictEqual(fileSystem.stat('/c').linkCount, 2);
+    assert.deepStrictEqual(fileSystem.check(false), []);
+});
+
+test('a user outside the admin group is refused su to the admin user and sudo without locking any account', () => {
+    const fileSystem = createFileSystem();
+    const { id } = fileSystem.addUser('bob', 'secret1');
+    fileSystem.su(id, '');
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+        assertCode(() => fileSystem.su(0, 'wrong'), 'EPERM');
+        assertCode(() => fileSystem.sudo('wrong', () => true), 'EPERM');
+    }
+
+    fileSystem.logout();
+    assert.strictEqual(fileSystem.login('admin', '1234').id, 0);
+    fileSystem.logout();
+    assert.strictEqual(fileSystem.login('bob', 'secret1').id, id);
+});
+
+test('names of Object.prototype properties are ordinary entry names and invalid modes', () => {
+    const fileSystem = createFileSystem();
+
+    assert.strictEqual(fileSystem.resolve('/constructor'), null);
+    fileSystem.mkdir('/constructor');
+    assert.strictEqual(fileSystem.writeFile('/toString', 'hello'), true);
+    assert.strictEqual(fileSystem.readFile('/toString'), 'hello');
+    assert.deepStrictEqual(fileSystem.check(false), []);
+
+    assertCode(() => fileSystem.open('/toString', 'constructor'), 'EINVAL');
+    assertCode(() => fileSystem.setAllocationStrategy('constructor'), 'EINVAL');
+});
+
+test('a disk without a journal that lost power during a checkpoint mounts and fsck moves its orphans to lost+found', () => {
+    const fileSystem = createFileSystem();
+    fileSystem.transaction(() => {
+        fileSystem.mkdir('/d');
+        fileSystem.writeFile('/d/f', 'hello');
+    });
+    fileSystem.setCrashPoint('checkpoint');
+    assertCode(() => fileSystem.transaction(() => fileSystem.mkdir('/d/e')), 'EIO');
+
+    const mounted = remount(fileSystem);
+    assert.notDeepStrictEqual(mounted.check(true), []);
+    assert.deepStrictEqual(mounted.check(false), []);
+    assert.ok(mounted.readdir('/lost+found').length > 0);
+});
+
+test('lseek rejects origins that are Object.prototype properties', () => {
+    const fileSystem = createFileSystem();
+    fileSystem.writeFile('/f', 'hello');
+    const descriptor = fileSystem.open('/f', 'r');
+
+    assertCode(() => fileSystem.lseek(descriptor, 2, 'toString'), 'EINVAL');
+    assert.strictEqual(fileSystem.lseek(descriptor, -2, 'end'), 3);
+    assert.strictEqual(fileSystem.read(descriptor).toString(), 'lo');
+});
+
+test('chmod -R leaves the mode of symbolic links unchanged', () => {
+    const fileSystem = createFileSystem();
+    fileSystem.mkdir('/d');
+    fileSystem.writeFile('/d/f', 'hello');
+    fileSystem.symlink('f', '/d/link');
+    const linkMode = fileSystem.lstat('/d/link').mode;
+
+    fileSystem.chmod('/d', '700', { recursive: true });
+    assert.strictEqual(fileSystem.lstat('/d/link').mode, linkMode);
+    assert.strictEqual(fileSystem.stat('/d/f').mode, fileSystem.stat('/d').mode);
+});
+
+test('a new block of a directory counts against the quota of its owner', () => {
+    const fileSystem = createFileSystem();
+    const bob = fileSystem.addUser('bob', 'secret1');
+    const carol = fileSystem.addUser('carol', 'secret2');
+    fileSystem.setQuota(bob.id, { softBlocks: 3, hardBlocks: 0, softInodes: 0, hardInodes: 0 });
+    fileSystem.setQuota(carol.id, { softBlocks: 0, hardBlocks: 3, softInodes: 0, hardInodes: 0 });
+
+    fileSystem.su(bob.id, '');
+    fileSystem.writeFile('/home/bob/a', 'x'.repeat(1536));
+    const [{ blocks }] = fileSystem.getQuotas();
+    assert.strictEqual(blocks.used, 4);
+    assert.notStrictEqual(blocks.graceEnd, null);
+
+    fileSystem.logout();
+    fileSystem.login('carol', 'secret2');
+    assertCode(() => fileSystem.writeFile('/home/carol/a', 'x'.repeat(1536)), 'EDQUOT');
+    assert.strictEqual(fileSystem.resolve('/home/carol/a'), null);
+    assert.strictEqual(fileSystem.getQuotas()[0].blocks.used, 0);
+});
+
+test('operations need a logged in user and report failures as FileSystemError codes', () => {
+    const fileSystem = FileSystem.create(MIN_DISK_SIZE * 16, '1234');
+    assertCode(() => fileSystem.mkdir('/a'), 'EPERM');
+    assertCode(() => fileSystem.login('admin', 'wrong'), 'EACCES');
+    assert.deepStrictEqual(fileSystem.login('admin', '1234'), { id: 0, username: 'admin' });
+
+    assert.deepStrictEqual(fileSystem.mkdir('/a'), ['/a']);
+    assertCode(() => fileSystem.mkdir('/a'), 'EEXIST');
+    assertCode(() => fileSystem.readFile('/missing'), 'ENOENT');
+    fileSystem.writeFile('/a/f', 'hello');
+    assertCode(() => fileSystem.readFile('/a/f/x'), 'ENOTDIR');
+    assertCode(() => fileSystem.chdir('/a/f'), 'ENOTDIR');
+    assertCode(() => fileSystem.rmdir('/a'), 'ENOTEMPTY');
+    assertCode(() => FileSystem.create(MIN_DISK_SIZE - 1), 'EINVAL');
+});
+
+test('relative paths resolve from the current directory', () => {
+    const fileSystem = createFileSystem();
+    assert.deepStrictEqual(fileSystem.mkdir('/x/y/z', { parents: true }), ['/x', '/x/y', '/x/y/z']);
+    fileSystem.chdir('/x/y');
+    fileSystem.writeFile('f', 'hello');
+    fileSystem.chdir('z/..');
+
+    assert.strictEqual(fileSystem.pwd(), '/x/y');
+    assert.strictEqual(fileSystem.readFile('/x/y/f'), 'hello');
+    assert.deepStrictEqual(fileSystem.readdir('.').map(({ name }) => name).sort(), ['f', 'z']);
+    assertCode(() => fileSystem.rmdir('/x', { recursive: true }), 'EBUSY');
+
+    fileSystem.chdir('/');
+    fileSystem.rmdir('/x', { recursive: true });
+    assert.strictEqual(fileSystem.resolve('/x'), null);
+    assert.deepStrictEqual(fileSystem.check(false), []);
+});
+
+test('a disk saved to an image file mounts with its files and users', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-test-'));
+    const imagePath = path.join(directory, 'disk.img');
+
+    try {
+        const fileSystem = createFileSystem();
+        fileSystem.addUser('bob', 'secret1');
+        fileSystem.writeFile('/home/bob/notes', 'saved');
+        fileSystem.save(imagePath);
+
+        const mounted = FileSystem.mount(imagePath);
+        assert.strictEqual(mounted.login('bob', 'secret1').username, 'bob');
+        assert.strictEqual(mounted.readFile('/home/bob/notes'), 'saved');
+        assertCode(() => FileSystem.mount(path.join(directory, 'missing.img')), 'ENOENT');
+
+        fs.writeFileSync(imagePath, Buffer.alloc(MIN_DISK_SIZE));
+        assertCode(() => FileSystem.mount(imagePath), 'EINVAL');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('writes over the hard block or Inode limit fail with EDQUOT and leave nothing behind', () => {
+    const fileSystem = createFileSystem();
+    const { id } = fileSystem.addUser('bob', 'secret1');
+    fileSystem.setQuota(id, { softBlocks: 0, hardBlocks: 4, softInodes: 0, hardInodes: 3 });
+    fileSystem.logout();
+    fileSystem.login('bob', 'secret1');
+
+    fileSystem.writeFile('/home/bob/a', 'x'.repeat(1024));
+    assertCode(() => fileSystem.writeFile('/home/bob/b', 'x'.repeat(1024)), 'EDQUOT');
+    assertCode(() => fileSystem.appendFile('/home/bob/a', 'x'.repeat(1024)), 'EDQUOT');
+    assert.strictEqual(fileSystem.resolve('/home/bob/b'), null);
+    assert.strictEqual(fileSystem.readFile('/home/bob/a').length, 1024);
+
+    fileSystem.mkdir('/home/bob/d');
+    assertCode(() => fileSystem.mkdir('/home/bob/e'), 'EDQUOT');
+
+    const [{ blocks, inodes }] = fileSystem.getQuotas();
+    assert.strictEqual(blocks.used, 3);
+    assert.strictEqual(inodes.used, 3);
+});
+
+test('the soft limit can be exceeded for the grace period, until usage is back within it', () => {
+    let time = Date.UTC(2024, 0, 1);
+    const fileSystem = createFileSystem({ clock: () => new Date(time) });
+    const { id } = fileSystem.addUser('bob', 'secret1');
+    fileSystem.setQuota(id, { softBlocks: 3, hardBlocks: 6, softInodes: 0, hardInodes: 0 });
+    fileSystem.setQuotaGracePeriod(60000);
+    fileSystem.logout();
+    fileSystem.login('bob', 'secret1');
+
+    fileSystem.writeFile('/home/bob/a', 'x'.repeat(1024));
+    assert.strictEqual(fileSystem.getQuotas()[0].blocks.graceEnd, null);
+
+    fileSystem.writeFile('/home/bob/b', 'x');
+    assert.deepStrictEqual(fileSystem.getQuotas()[0].blocks.graceEnd, new Date(time + 60000));
+
+    time += 30000;
+    fileSystem.writeFile('/home/bob/c', 'x');
+    assertCode(() => fileSystem.writeFile('/home/bob/d', 'x'.repeat(1024)), 'EDQUOT');
+
+    time += 30000;
+    assert.strictEqual(fileSystem.getQuotas()[0].blocks.expired, true);
+    assertCode(() => fileSystem.writeFile('/home/bob/d', 'x'), 'EDQUOT');
+
+    // Back within the soft limit, the next write over it starts a new grace period
+    fileSystem.unlink('/home/bob/b');
+    fileSystem.unlink('/home/bob/c');
+    fileSystem.writeFile('/home/bob/d', 'x');
+    const [{ blocks }] = fileSystem.getQuotas();
+    assert.strictEqual(blocks.expired, false);
+    assert.deepStrictEqual(blocks.graceEnd, new Date(time + 60000));
+});
+
+test('a power loss at each step of a journaled transaction leaves all of it or none after replay, and fsck finds nothing', () => {
+    // A transaction is replayed once its commit block reaches the journal
+    const replayedAt = { data: false, journal: false, commit: true, checkpoint: true };
+
+    for (const journalMode of ['ordered', 'data']) {
+        for (const [crashPoint, replayed] of Object.entries(replayedAt)) {
+            const fileSystem = createFileSystem({ journalMode });
+            fileSystem.transaction(() => fileSystem.writeFile('/a', 'old'));
+            fileSystem.setCrashPoint(crashPoint);
+            assertCode(() => fileSystem.transaction(() => {
+                fileSystem.writeFile('/b', 'new'.repeat(300));
+                fileSystem.mkdir('/d');
+            }), 'EIO');
+
+            const mounted = remount(fileSystem);
+            const label = `${journalMode} journal, power loss at ${crashPoint}`;
+            assert.strictEqual(mounted.readFile('/a'), 'old', label);
+            assert.strictEqual(mounted.resolve('/b') ? mounted.readFile('/b') : null, replayed ? 'new'.repeat(300) : null, label);
+            assert.strictEqual(mounted.resolve('/d') !== null, replayed, label);
+            assert.strictEqual(Boolean(mounted.journal.recovery && mounted.journal.recovery.replayed), replayed, label);
+            assert.deepStrictEqual(mounted.check(false), [], label);
+
+            // The journal is cleared once recovered
+            assert.strictEqual(remount(mounted).journal.recovery, null, label);
+        }
+    }
+});
+
+test('power loss can only be simulated at the checkpoint step of a disk without a journal', () => {
+    const fileSystem = createFileSystem();
+    assertCode(() => fileSystem.setCrashPoint('commit'), 'EINVAL');
+    assertCode(() => fileSystem.setCrashPoint('later'), 'EINVAL');
+    assertCode(() => fileSystem.setJournalMode('data'), 'EINVAL');
+    fileSystem.setCrashPoint('checkpoint');
+});
+
+test('data written through a small cache reads back after a remount with every policy and write mode', () => {
+    for (const policy of ['lru', 'fifo', 'clock']) {
+        for (const writeMode of ['write-back', 'write-through']) {
+            const label = `${policy}, ${writeMode}`;
+            const fileSystem = createFileSystem({ cache: { policy, writeMode, capacity: 4 } });
+            const contents = {};
+
+            // Files larger than the cache force evictions, and the rewrite dirties blocks already cached
+            for (let i = 0; i < 6; i++) {
+                contents[`/f${i}`] = String(i).repeat(700 + i * 100);
+                fileSystem.writeFile(`/f${i}`, contents[`/f${i}`]);
+            }
+            fileSystem.readFile('/f0');
+            contents['/f1'] = 'rewritten';
+            fileSystem.writeFile('/f1', contents['/f1']);
+
+            const { cachedBlocks, dirtyBlocks, stats } = fileSystem.cacheInfo();
+            assert.strictEqual(cachedBlocks, 4, label);
+            assert.strictEqual(dirtyBlocks > 0, writeMode === 'write-back', label);
+            assert.deepStrictEqual(stats.map((entry) => entry.policy), [policy], label);
+            assert.ok(stats[0].hits > 0 && stats[0].evictions > 0, label);
+
+            fileSystem.sync();
+            assert.strictEqual(fileSystem.cacheInfo().dirtyBlocks, 0, label);
+
+            const mounted = remount(fileSystem, { cache: { policy, writeMode, capacity: 4 } });
+            for (const [filePath, content] of Object.entries(contents)) {
+                assert.strictEqual(mounted.readFile(filePath), content, `${label}: ${filePath}`);
+            }
+            assert.deepStrictEqual(mounted.check(false), [], label);
+        }
+    }
+});
+
+test('changing the cache policy keeps the cached data and counts I/O for each policy used', () => {
+    const fileSystem = createFileSystem({ cache: { policy: 'lru', capacity: 8 } });
+    fileSystem.writeFile('/a', 'x'.repeat(2000));
+    fileSystem.setCacheOptions({ policy: 'clock', capacity: 2 });
+    fileSystem.writeFile('/b', 'y'.repeat(2000));
+
+    assert.strictEqual(fileSystem.readFile('/a'), 'x'.repeat(2000));
+    assert.deepStrictEqual(fileSystem.cacheInfo().stats.map((entry) => entry.policy), ['lru', 'clock']);
+    assertCode(() => fileSystem.setCacheOptions({ policy: 'random' }), 'EINVAL');
+    assertCode(() => fileSystem.setCacheOptions({ capacity: 0 }), 'EINVAL');
+
+    fileSystem.sync();
+    assert.strictEqual(remount(fileSystem).readFile('/b'), 'y'.repeat(2000));
+});
+
+test('defragmenting moves each file into one extent and leaves a consistent disk with every allocation strategy', () => {
+    for (const strategy of ['first-fit', 'next-fit', 'best-fit', 'contiguous']) {
+        const fileSystem = createFileSystem();
+        fileSystem.setAllocationStrategy(strategy);
+        const contents = {};
+
+        // Freeing every other file leaves holes that the later writes are split across
+        for (let i = 0; i < 6; i++) {
+            contents[`/f${i}`] = String(i).repeat(600);
+            fileSystem.writeFile(`/f${i}`, contents[`/f${i}`]);
+        }
+        for (let i = 0; i < 6; i += 2) {
+            fileSystem.unlink(`/f${i}`);
+            delete contents[`/f${i}`];
+        }
+        contents['/big'] = 'b'.repeat(3000);
+        fileSystem.writeFile('/big', contents['/big']);
+        contents['/f1'] += 'more'.repeat(300);
+        fileSystem.appendFile('/f1', 'more'.repeat(300));
+
+        const before = fileSystem.diskMap();
+        assert.strictEqual(before.allocationStrategy, strategy);
+        assert.strictEqual(before.files.some(({ extents }) => extents > 1), strategy !== 'contiguous', strategy);
+
+        const { movedBlocks, fragmentedAfter } = fileSystem.defragment();
+        const after = fileSystem.diskMap();
+        assert.ok(movedBlocks > 0, strategy);
+        assert.strictEqual(fragmentedAfter, 0, strategy);
+        assert.ok(after.files.every(({ extents }) => extents <= 1), strategy);
+        assert.strictEqual(after.freeRuns, 1, strategy);
+        assert.deepStrictEqual(fileSystem.check(false), [], strategy);
+
+        fileSystem.sync();
+        const mounted = remount(fileSystem);
+        for (const [filePath, content] of Object.entries(contents)) {
+            assert.strictEqual(mounted.readFile(filePath), content, `${strategy}: ${filePath}`);
+        }
+        assert.deepStrictEqual(mounted.check(false), [], strategy);
+    }
+});
+
+test('find matches entries on every given test', () => {
+    let time = Date.UTC(2024, 0, 1);
+    const fileSystem = createFileSystem({ clock: () => new Date(time += 1000) });
+    const { id } = fileSystem.addUser('bob', 'secret1');
+    fileSystem.mkdir('/src');
+    fileSystem.writeFile('/src/main.js', 'const a = 1;\n');
+    fileSystem.writeFile('/src/util.js', 'x'.repeat(1500));
+    fileSystem.writeFile('/src/notes.txt', 'notes\n');
+    fileSystem.symlink('main.js', '/src/link.js');
+    fileSystem.chown('/src/util.js', 'bob');
+    fileSystem.chmod('/src/util.js', '4755');
+    fileSystem.writeFile('/src/late.txt', 'late');
+
+    const find = (criteria) => fileSystem.find('/src', criteria).matches;
+    assert.deepStrictEqual(find({ name: '*.js' }), ['/src/main.js', '/src/util.js', '/src/link.js']);
+    assert.deepStrictEqual(find({ name: '[mn]*', fileType: 'file' }), ['/src/main.js', '/src/notes.txt']);
+    assert.deepStrictEqual(find({ fileType: 'symlink' }), ['/src/link.js']);
+    assert.deepStrictEqual(find({ fileType: 'directory' }), ['/src']);
+    assert.deepStrictEqual(fileSystem.find('/', { ownerId: id }).matches, ['/home/bob', '/src/util.js']);
+    assert.deepStrictEqual(find({ mode: 0o4755 }), ['/src/util.js']);
+    assert.deepStrictEqual(find({ mode: 0o4000, modeMatch: 'all' }), ['/src/util.js']);
+    assert.deepStrictEqual(find({ mode: 0o4000, modeMatch: 'any', fileType: 'file' }), ['/src/util.js']);
+    assert.deepStrictEqual(find({ size: { comparison: 'greater', count: 2, unit: BLOCK_SIZE } }), ['/src/util.js']);
+    assert.deepStrictEqual(find({ size: { comparison: 'equal', count: 4, unit: 1 } }), ['/src/late.txt']);
+    assert.deepStrictEqual(find({ newer: '/src/notes.txt', fileType: 'file' }), ['/src/late.txt']);
+});
+
+test('find and grep skip the directories and files the user cannot read and report them', () => {
+    const fileSystem = createFileSystem();
+    fileSystem.addUser('bob', 'secret1');
+    fileSystem.mkdir('/secret');
+    fileSystem.writeFile('/secret/key', 'TODO hidden');
+    fileSystem.chmod('/secret', '700');
+    fileSystem.writeFile('/private', 'TODO private');
+    fileSystem.chmod('/private', '600');
+    fileSystem.writeFile('/public', 'TODO public');
+    fileSystem.logout();
+    fileSystem.login('bob', 'secret1');
+
+    const found = fileSystem.find('/', { name: 'key' });
+    assert.deepStrictEqual(found.matches, []);
+    assert.deepStrictEqual(found.errors.map((error) => error.code), ['EACCES']);
+
+    const { matches, errors } = fileSystem.grep('TODO', '/', { recursive: true });
+    assert.deepStrictEqual(matches, [{ path: '/public', line: 'TODO public' }]);
+    assert.deepStrictEqual(errors.map((error) => error.code).sort(), ['EACCES', 'EACCES']);
+});
+
+test('grep lists matching lines, once for binary files, and does not follow symbolic links in trees', () => {
+    const fileSystem = createFileSystem();
+    fileSystem.mkdir('/src');
+    fileSystem.writeFile('/src/util.js', 'TODO: fix\nok\n');
+    fileSystem.writeFile('/src/notes.txt', 'todo later\nnothing\ntodo again\n');
+    fileSystem.writeFile('/src/data.bin', 'a\0TODO\nTODO');
+    fileSystem.symlink('util.js', '/src/link.js');
+
+    assert.deepStrictEqual(fileSystem.grep('todo', '/src/notes.txt').matches, [
+        { path: '/src/notes.txt', line: 'todo later' },
+        { path: '/src/notes.txt', line: 'todo again' },
+    ]);
+    assert.deepStrictEqual(fileSystem.grep('^todo', '/src', { recursive: true, ignoreCase: true }).matches, [
+        { path: '/src/util.js', line: 'TODO: fix' },
+        { path: '/src/notes.txt', line: 'todo later' },
+        { path: '/src/notes.txt', line: 'todo again' },
+        { path: '/src/data.bin', binary: true },
+    ]);
+    assert.deepStrictEqual(fileSystem.grep('fix', '/src/link.js').matches, [{ path: '/src/link.js', line: 'TODO: fix' }]);
+    assert.deepStrictEqual(fileSystem.grep('missing', '/src/util.js').matches, []);
+    assertCode(() => fileSystem.grep('TODO', '/src'), 'EISDIR');
+    assertCode(() => fileSystem.grep('(', '/src/util.js'), 'EINVAL');
+});
+
+test('rewriting a file or adding directory entries reuses the blocks the file owns', () => {
+    const fileSystem = createFileSystem();
+    const firstBlock = (filePath) => fileSystem.resolve(filePath).inode.blockAddresses[0];
+
+    fileSystem.writeFile('/f', 'x'.repeat(1000));
+    const fileBlock = firstBlock('/f');
+    const rootBlock = firstBlock('/');
+    const { freeBlocks } = fileSystem.diskInfo();
+
+    fileSystem.writeFile('/f', 'y'.repeat(1500));
+    assert.strictEqual(firstBlock('/f'), fileBlock);
+    assert.strictEqual(fileSystem.diskInfo().freeBlocks, freeBlocks - 1);
+
+    fileSystem.writeFile('/f', 'z'.repeat(100));
+    assert.strictEqual(firstBlock('/f'), fileBlock);
+    assert.strictEqual(fileSystem.diskInfo().freeBlocks, freeBlocks + 1);
+    assert.strictEqual(fileSystem.readFile('/f'), 'z'.repeat(100));
+
+    for (let i = 0; i < 40; i++) {
+        fileSystem.link('/f', `/link${i}`);
+    }
+    assert.strictEqual(firstBlock('/'), rootBlock);
+    assert.deepStrictEqual(fileSystem.check(false), []);
+});
+
+test('shrinking a file with indirection blocks frees the blocks past its new end', () => {
+    const fileSystem = FileSystem.create(MIN_DISK_SIZE * 64, '1234');
+    fileSystem.login('admin', '1234');
+    fileSystem.writeFile('/f', '');
+    const { freeBlocks } = fileSystem.diskInfo();
+
+    fileSystem.writeFile('/f', 'a'.repeat(BLOCK_SIZE * 200));
+    assert.strictEqual(fileSystem.stat('/f').indirectionBlocks > 2, true);
+
+    const content = 'b'.repeat(BLOCK_SIZE * 20 + 7);
+    fileSystem.writeFile('/f', content);
+    assert.strictEqual(fileSystem.readFile('/f'), content);
+    assert.strictEqual(fileSystem.diskInfo().freeBlocks, freeBlocks - 22);
+    assert.deepStrictEqual(fileSystem.check(false), []);
+
+    fileSystem.writeFile('/f', '');
+    assert.strictEqual(fileSystem.diskInfo().freeBlocks, freeBlocks);
+    assert.deepStrictEqual(fileSystem.check(false), []);
+});
+
+test('a move that replaces a file and then fails keeps both files', () => {
+    const fileSystem = createFileSystem();
+    fileSystem.mkdir('/src');
+    fileSystem.mkdir('/dst');
+    fileSystem.writeFile('/src/f', 'moved');
+    fileSystem.writeFile('/dst/f', 'x'.repeat(1500));
+
+    // The destination directory cannot take the entry, as when it cannot grow or its owner is over quota
+    fileSystem.addEntry = () => {
+        throw new FileSystemError('ENOSPC', 'Not enough space on the disk.');
+    };
+    assertCode(() => fileSystem.rename('/src/f', '/dst/f'), 'ENOSPC');
+    delete fileSystem.addEntry;
+
+    assert.strictEqual(fileSystem.readFile('/src/f'), 'moved');
+    assert.strictEqual(fileSystem.readFile('/dst/f'), 'x'.repeat(1500));
+    assert.deepStrictEqual(fileSystem.check(false), []);
+
+    fileSystem.rename('/src/f', '/dst/f');
+    assert.strictEqual(fileSystem.resolve('/src/f'), null);
+    assert.strictEqual(fileSystem.readFile('/dst/f'), 'moved');
+    assert.deepStrictEqual(fileSystem.check(false), []);
+});
+
+test('removing a user deletes their empty home directory, but not one with files in it', () => {
+    const fileSystem = createFileSystem();
+    const bob = fileSystem.addUser('bob', 'secret1');
+    assert.deepStrictEqual(fileSystem.removeUser(bob.id), { username: 'bob', entries: 1 });
+    assert.strictEqual(fileSystem.resolve('/home/bob'), null);
+    assert.strictEqual(fileSystem.findUser('bob'), null);
+
+    const carol = fileSystem.addUser('carol', 'secret2');
+    fileSystem.su(carol.id, '');
+    fileSystem.writeFile('/home/carol/notes', 'keep');
+    fileSystem.logout();
+    fileSystem.login('admin', '1234');
+
+    assertCode(() => fileSystem.removeUser(carol.id), 'ENOTEMPTY');
+    assert.strictEqual(fileSystem.readFile('/home/carol/notes'), 'keep');
+    fileSystem.removeUser(carol.id, { removeFiles: true });
+    assert.strictEqual(fileSystem.resolve('/home/carol'), null);
+    assert.deepStrictEqual(fileSystem.check(false), []);
+});